@@ -70,12 +70,56 @@ let { positionals, values } = parseArgs({
 		preserve: {
 			type: "string",
 			default: "",
-		}
+		},
+		selector: {
+			type: "string",
+			default: "",
+		},
+		include: {
+			type: "string",
+			default: "",
+		},
+		exclude: {
+			type: "string",
+			default: "",
+		},
+		posttypes: {
+			type: "string",
+			default: "",
+		},
+		excludeposttypes: {
+			type: "string",
+			default: "",
+		},
+		contenttype: {
+			type: "string",
+			default: "",
+		},
+		threads: {
+			type: "boolean",
+			default: false,
+		},
+		subfolders: {
+			type: "boolean",
+			default: false,
+		},
+		comments: {
+			type: "boolean",
+			default: false,
+		},
+		embeds: {
+			type: "string",
+			default: "",
+		},
+		siteurl: {
+			type: "string",
+			default: "",
+		},
 	},
 });
 
 let [ type, target ] = positionals;
-let { quiet, dryrun, output, help, version, overwrite, cacheduration, format, persist, assetrefs, within, preserve } = values;
+let { quiet, dryrun, output, help, version, overwrite, cacheduration, format, persist, assetrefs, within, preserve, selector, include, exclude, posttypes, excludeposttypes, contenttype, threads, subfolders, comments, embeds, siteurl } = values;
 
 if(version) {
 	const require = createRequire(import.meta.url);
@@ -120,6 +164,33 @@ if(help) {
   npx @11ty/import [type] [target] --assetrefs=absolute
   npx @11ty/import [type] [target] --assetrefs=colocate
   npx @11ty/import [type] [target] --assetrefs=disabled
+
+  # CSS selector for the main content of scraped pages (sitemap, directory)
+  npx @11ty/import sitemap [target] --selector=".post-body"
+
+  # Globs (comma separated) for files to include or exclude (directory)
+  npx @11ty/import directory [target] --include="blog/**/*.html" --exclude="**/drafts/**"
+
+  # Post types (comma separated) to include or exclude (mastodon: replies, boosts, pinned; atproto: replies, reposts; twitter: retweets, replies, exclude only; wordpress: posts, pages or any REST API base, include only)
+  npx @11ty/import mastodon [target] --posttypes=replies,boosts --excludeposttypes=pinned
+
+  # Merge threads of self-replies into a single entry (atproto, twitter)
+  npx @11ty/import atproto [target] --threads
+
+  # Content type machine name (drupal, default: article)
+  npx @11ty/import drupal [target] --contenttype=page
+
+  # Write each feed to its own subfolder (opml)
+  npx @11ty/import opml [target] --subfolders
+
+  # Import approved comments into front matter (wordpress)
+  npx @11ty/import wordpress [target] --comments
+
+  # Convert WordPress embeds (YouTube, Vimeo, Twitter) to Eleventy shortcodes (wordpress, wxr, default: html)
+  npx @11ty/import wordpress [target] --embeds=shortcodes
+
+  # Site URL for entries from local files (ghost export file, substack, hugo, jekyll)
+  npx @11ty/import ghost [target] --siteurl=https://example.com/
 `);
 
 	process.exit();
@@ -141,7 +212,26 @@ importer.setCacheDuration(cacheduration);
 importer.setVerbose(!quiet);
 importer.setSafeMode(!overwrite);
 importer.setDryRun(dryrun);
-importer.addSource(type, target);
+let sourceOptions = {
+	id: target,
+	selector: selector || undefined,
+	include: include || undefined,
+	exclude: exclude || undefined,
+	postTypes: posttypes || undefined,
+	excludePostTypes: excludeposttypes || undefined,
+	contentType: contenttype || undefined,
+	siteUrl: siteurl || undefined,
+	threads,
+	comments,
+};
+
+if(type === "opml") {
+	// One source per feed
+	let { id, ...feedOptions } = sourceOptions;
+	await importer.addOpml(target, { ...feedOptions, subfolders });
+} else {
+	importer.addSource(type, sourceOptions);
+}
 
 // TODO wire these up to CLI
 importer.setDraftsFolder("drafts");
@@ -153,6 +243,11 @@ if(preserve) {
 	importer.addPreserved(preserve);
 }
 
+// WordPress embeds as iframes (html) or Eleventy shortcodes
+if(embeds) {
+	importer.setWordPressEmbedFormat(embeds);
+}
+
 if(persist) {
 	importer.setPersistTarget(persist);
 }
@@ -1,7 +1,10 @@
+import fs from "graceful-fs";
 import kleur from 'kleur';
 import { DateCompare } from "@11ty/eleventy-utils";
 
 import { Logger } from "./Logger.js";
+import { Fetcher } from "./Fetcher.js";
+import { LocalFiles } from "./LocalFiles.js";
 
 class DataSource {
 	static UUID_PREFIX = "11ty/import";
@@ -9,6 +12,7 @@ class DataSource {
 	#fetcher;
 	#fetchDataOverrides = {};
 	#outputFolder = ".";
+	#outputSubfolder;
 
 	constructor() {
 		this.isVerbose = true;
@@ -72,6 +76,34 @@ class DataSource {
 		return this.#outputFolder;
 	}
 
+	// Relative to the output folder, e.g. to keep multiple sources from colliding
+	setOutputSubfolder(dir) {
+		this.#outputSubfolder = dir;
+	}
+
+	get outputSubfolder() {
+		return this.#outputSubfolder;
+	}
+
+	// For sources that create another DataSource (e.g. `auto`)
+	copySettingsTo(source) {
+		source.setFetcher(this.fetcher);
+		source.setVerbose(this.isVerbose);
+		source.setWithin(this.within);
+		source.setOutputFolder(this.#outputFolder);
+		source.#fetchDataOverrides = this.#fetchDataOverrides;
+
+		if(this.label) {
+			source.setLabel(this.label);
+		}
+		if(this.filepathFormat) {
+			source.setFilepathFormatFunction(this.filepathFormat);
+		}
+		if(this.#outputSubfolder) {
+			source.setOutputSubfolder(this.#outputSubfolder);
+		}
+	}
+
 	toIsoDate(dateStr) {
 		return (new Date(Date.parse(dateStr))).toISOString();
 	}
@@ -95,10 +127,30 @@ class DataSource {
 		return {};
 	}
 
+	// Override for other request types (e.g. GraphQL POST requests)
+	async getFetchOptions(url) {
+		return {};
+	}
+
 	getUniqueIdFromEntry() {
 		return "";
 	}
 
+	// Override to resolve asset references before they’re downloaded (e.g. relative paths in local files)
+	resolveAssetUrl(assetUrl, entry) {
+		return assetUrl;
+	}
+
+	// Override to allow `file:` assets from these folders (e.g. local folders or exports), remote sources can’t read local files
+	getLocalAssetRoots() {
+		return [];
+	}
+
+	// Override to ignore expected errors when paging (e.g. past the last page)
+	async isErrorWorthWorryingAbout(e) {
+		return true;
+	}
+
 	// Thanks to https://stackoverflow.com/questions/7467840/nl2br-equivalent-in-javascript/7467863#7467863
 	static nl2br(str) {
 		if (typeof str === 'undefined' || str === null) {
@@ -117,17 +169,60 @@ class DataSource {
 			throw new Error("Testing error, missing data override url: " + url);
 		}
 
+		// `response` type returns `{ url, status, headers, body }` (text body)
+		let returnType;
+		if(type === "response") {
+			type = "text";
+			returnType = "response";
+		}
+
+		// Headers from both are used
+		let fetchOptions = await this.getFetchOptions(url);
 		return this.fetcher.fetch(url, {
 			type,
-			fetchOptions: {
-				headers: this.getHeaders(),
-			},
+			returnType,
+			fetchOptions: Object.assign({}, fetchOptions, {
+				headers: Object.assign({}, this.getHeaders(), fetchOptions?.headers),
+			}),
 		}, {
 			verbose: true,
 			showErrors
 		});
 	}
 
+	// Local folder or .zip archive (extracted) for export sources
+	getLocalDirectory(target) {
+		return LocalFiles.getDirectory(target, {
+			dryRun: this.#fetcher?.dryRun,
+		});
+	}
+
+	// Local file equivalent of getData (export files, archives)
+	async getLocalData(filePath, type) {
+		// For testing, all file paths must be stubbed
+		if(Object.keys(this.#fetchDataOverrides).length > 0) {
+			if(this.#fetchDataOverrides[filePath]) {
+				return this.#fetchDataOverrides[filePath];
+			}
+
+			throw new Error("Testing error, missing data override file path: " + filePath);
+		}
+
+		if(!fs.existsSync(filePath)) {
+			throw new Error(`Could not find local file: ${filePath}`);
+		}
+
+		let content = fs.readFileSync(filePath, "utf8");
+		if(type === "xml") {
+			return Fetcher.parseXml(content);
+		}
+		if(type === "json") {
+			return JSON.parse(content);
+		}
+
+		return content;
+	}
+
 	async getCleanedEntries(data) {
 		// data should be iterable
 		let dataEntries = data;
@@ -140,7 +235,10 @@ class DataSource {
 			if(this.isWithin(rawEntry)) {
 				if(typeof this.cleanEntry === "function") {
 					let cleaned = await this.cleanEntry(rawEntry, data);
-					entries.push(cleaned);
+					// cleanEntry can skip an entry
+					if(cleaned) {
+						entries.push(cleaned);
+					}
 				} else {
 					entries.push(rawEntry);
 				}
@@ -159,48 +257,66 @@ class DataSource {
 		}
 	}
 
-	async getEntries() {
+	async #getEntriesForUrl(url) {
 		let entries = [];
-		if(typeof this.getUrl === "function") {
-			let url = this.getUrl();
-			if(typeof url === "function") {
-				let pageNumber = 1;
-				let pagedUrl;
-
-				try {
-					while(pagedUrl = url(pageNumber)) {
-						let found = 0;
-						let data = await this.getData(pagedUrl, this.getType(), false);
-						let cleanedData = await this.getCleanedEntries(data);
-
-						for(let entry of cleanedData) {
-							entries.push(entry);
-
-							// careful here, if an entry was updated out of your `within` window, it will be ignored
-							found++;
-						}
-
-						if(found === 0) {
-							break;
-						}
-
-						pageNumber++;
+		if(typeof url === "function") {
+			let pageNumber = 1;
+			let pagedUrl;
+			let data;
+
+			try {
+				// Previous page data is passed in for cursor or `next` link pagination
+				while(pagedUrl = url(pageNumber, data)) {
+					let found = 0;
+					data = await this.getData(pagedUrl, this.getType(), false);
+					let cleanedData = await this.getCleanedEntries(data);
+
+					for(let entry of cleanedData) {
+						entries.push(entry);
+
+						// careful here, if an entry was updated out of your `within` window, it will be ignored
+						found++;
 					}
-				} catch(e) {
-					let shouldWorry = await this.isErrorWorthWorryingAbout(e);
-					if(shouldWorry) {
-						Logger.error(kleur.red(`Error: ${e.message}`), e);
-						throw e;
+
+					if(found === 0) {
+						break;
 					}
+
+					pageNumber++;
+				}
+			} catch(e) {
+				let shouldWorry = await this.isErrorWorthWorryingAbout(e);
+				if(shouldWorry) {
+					Logger.error(kleur.red(`Error: ${e.message}`), e);
+					throw e;
 				}
-			} else if(typeof url === "string" || url instanceof URL) {
-				let data = await this.getData(url, this.getType(), true);
-				for(let entry of await this.getCleanedEntries(data) || []) {
+			}
+		} else if(typeof url === "string" || url instanceof URL) {
+			let data = await this.getData(url, this.getType(), true);
+			for(let entry of await this.getCleanedEntries(data) || []) {
+				entries.push(entry);
+			}
+		}
+
+		return entries;
+	}
+
+	async getEntries() {
+		let entries = [];
+		let urls = typeof this.getUrl === "function" ? this.getUrl() : undefined;
+		if(urls) {
+			// Multiple endpoints are supported (e.g. posts and pages)
+			if(!Array.isArray(urls)) {
+				urls = [urls];
+			}
+
+			for(let url of urls) {
+				for(let entry of await this.#getEntriesForUrl(url)) {
 					entries.push(entry);
 				}
 			}
 		} else if(typeof this.getData === "function") {
-			let data = this.getData() || {};
+			let data = await this.getData() || {};
 			for(let entry of await this.getCleanedEntries(data) || []) {
 				entries.push(entry);
 			}
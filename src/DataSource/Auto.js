@@ -0,0 +1,141 @@
+import kleur from "kleur";
+
+import { DataSource } from "../DataSource.js";
+import { Logger } from "../Logger.js";
+import { HtmlTree } from "../HtmlTree.js";
+import { Atom } from "./Atom.js";
+import { Rss } from "./Rss.js";
+import { JsonFeed } from "./JsonFeed.js";
+import { WordPressApi } from "./WordPressApi.js";
+
+const SOURCES = {
+	atom: Atom,
+	rss: Rss,
+	jsonfeed: JsonFeed,
+	wordpress: WordPressApi,
+};
+
+// Feed types used in `<link rel="alternate">`
+const FEED_CONTENT_TYPES = {
+	"application/atom+xml": "atom",
+	"application/rss+xml": "rss",
+	"application/feed+json": "jsonfeed",
+};
+
+// https://developer.wordpress.org/rest-api/using-the-rest-api/discovery/
+const WORDPRESS_LINK_REL = "https://api.w.org/";
+
+// Detects the best source for a URL (WordPress REST API, feed URL or a home page with feed links)
+class Auto extends DataSource {
+	static TYPE = "auto";
+	static TYPE_FRIENDLY = "Auto-detect";
+
+	static getContentType(headers = {}) {
+		return (headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+	}
+
+	// e.g. `<https://example.com/wp-json/>; rel="https://api.w.org/"`
+	static getWordPressLinkHeader(headers = {}) {
+		for(let link of (headers["link"] || "").split(",")) {
+			if(/;\s*rel="?https:\/\/api\.w\.org\/"?/.test(link)) {
+				return link.match(/<([^>]*)>/)?.[1];
+			}
+		}
+	}
+
+	// Site URL from the REST API root: `https://example.com/blog/wp-json/` or `https://example.com/blog/?rest_route=/` (without pretty permalinks)
+	static getWordPressSite(apiRootHref, url) {
+		let apiRoot = new URL(apiRootHref, url);
+		let siteUrl = new URL(apiRoot.searchParams.has("rest_route") ? "./" : "../", apiRoot);
+		return {
+			url: siteUrl.toString(),
+			apiRoot: apiRoot.toString(),
+		};
+	}
+
+	// Returns `{ type, url, reason }` (and `apiRoot` for WordPress)
+	static detect({ url, headers = {}, body = "" }) {
+		let contentType = Auto.getContentType(headers);
+		let content = String(body).trimStart();
+
+		if(contentType === "application/feed+json" || (contentType === "application/json" && content.includes("jsonfeed.org/version/"))) {
+			return { type: "jsonfeed", url, reason: `${contentType} content type` };
+		}
+
+		if(contentType.endsWith("xml")) {
+			if(contentType === "application/atom+xml" || /^(<\?xml[^>]*>\s*)?<feed[\s>]/.test(content)) {
+				return { type: "atom", url, reason: `${contentType} content type` };
+			}
+			if(contentType === "application/rss+xml" || /<(rss|rdf:RDF)[\s>]/.test(content)) {
+				return { type: "rss", url, reason: `${contentType} content type` };
+			}
+		}
+
+		// The site URL is derived from the REST API root (e.g. when starting from a post URL)
+		let apiRootHref = Auto.getWordPressLinkHeader(headers);
+		if(apiRootHref) {
+			return { type: "wordpress", ...Auto.getWordPressSite(apiRootHref, url), reason: `WordPress REST API \`Link\` header` };
+		}
+
+		let root = HtmlTree.parse(content);
+		let apiLink = HtmlTree.querySelector(root, `link[rel="${WORDPRESS_LINK_REL}"][href]`);
+		if(apiLink) {
+			return { type: "wordpress", ...Auto.getWordPressSite(HtmlTree.getAttribute(apiLink, "href"), url), reason: `WordPress REST API <link rel="${WORDPRESS_LINK_REL}"> in HTML` };
+		}
+
+		// First feed link in the document
+		for(let link of HtmlTree.querySelectorAll(root, "link[rel~=alternate][href]")) {
+			let linkType = (HtmlTree.getAttribute(link, "type") || "").toLowerCase();
+			if(FEED_CONTENT_TYPES[linkType]) {
+				return {
+					type: FEED_CONTENT_TYPES[linkType],
+					url: (new URL(HtmlTree.getAttribute(link, "href"), url)).toString(),
+					reason: `<link rel="alternate" type="${linkType}"> in HTML`,
+				};
+			}
+		}
+	}
+
+	constructor(url, options = {}) {
+		super();
+		this.url = url;
+		// Passed through to the detected source
+		this.options = options;
+	}
+
+	async detectSource() {
+		let response = await this.getData(this.url, "response");
+		let detected = Auto.detect({
+			url: response?.url || this.url,
+			headers: response?.headers,
+			body: response?.body,
+		});
+
+		if(!detected) {
+			throw new Error(`Could not find a feed or WordPress REST API for ${this.url}`);
+		}
+
+		if(this.isVerbose) {
+			Logger.log(kleur.gray("Detected"), SOURCES[detected.type].TYPE_FRIENDLY, kleur.gray("source"), detected.url, kleur.gray(`(${detected.reason})`));
+		}
+
+		let options = this.options;
+		if(detected.apiRoot) {
+			options = Object.assign({ apiRoot: detected.apiRoot }, options);
+		}
+
+		let source = new SOURCES[detected.type](detected.url, options);
+		this.copySettingsTo(source);
+
+		return source;
+	}
+
+	async getEntries() {
+		this.source = await this.detectSource();
+
+		// Entries use the detected source (e.g. for file paths)
+		return this.source.getEntries();
+	}
+}
+
+export { Auto };
@@ -0,0 +1,318 @@
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { BlueskyUser } from "./BlueskyUser.js";
+import { Rss } from "./Rss.js";
+
+// Public AppView, no authentication required
+const API_URL = "https://public.api.bsky.app/xrpc/";
+
+// Full post history from the AT Protocol API (the RSS feed has no images or history)
+class BlueskyApi extends DataSource {
+	static TYPE = "atproto";
+	static TYPE_FRIENDLY = "Bluesky (AT Protocol)";
+	static PER_PAGE = 100;
+	static POST_TYPES = ["replies", "reposts"];
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(typeof value === "string") {
+			return value.split(",").map(entry => entry.trim()).filter(Boolean);
+		}
+		return [];
+	}
+
+	// e.g. `at://did:plc:1234/app.bsky.feed.post/3lckusgtkuk2r` to `3lckusgtkuk2r`
+	static getRecordKey(atUri) {
+		return atUri.split("/").pop();
+	}
+
+	static getPostUrl(handle, atUri) {
+		return `https://bsky.app/profile/${handle}/post/${BlueskyApi.getRecordKey(atUri)}`;
+	}
+
+	// Facet indices are UTF-8 byte offsets
+	static renderFacets(text = "", facets = []) {
+		let bytes = new TextEncoder().encode(text);
+		let decoder = new TextDecoder();
+
+		let html = [];
+		let index = 0;
+		for(let facet of [...facets].sort((a, b) => a.index.byteStart - b.index.byteStart)) {
+			let { byteStart, byteEnd } = facet.index;
+			if(byteStart < index) {
+				// overlapping facets are ignored
+				continue;
+			}
+
+			html.push(entities.escapeText(decoder.decode(bytes.slice(index, byteStart))));
+
+			let facetText = entities.escapeText(decoder.decode(bytes.slice(byteStart, byteEnd)));
+			let href = BlueskyApi.getFacetUrl(facet.features?.[0]);
+			html.push(href ? `<a href="${entities.escapeAttribute(href)}">${facetText}</a>` : facetText);
+
+			index = byteEnd;
+		}
+		html.push(entities.escapeText(decoder.decode(bytes.slice(index))));
+
+		return DataSource.nl2br(html.join(""));
+	}
+
+	static getFacetUrl(feature) {
+		if(feature?.$type === "app.bsky.richtext.facet#link") {
+			return feature.uri;
+		}
+		if(feature?.$type === "app.bsky.richtext.facet#mention") {
+			return `https://bsky.app/profile/${feature.did}`;
+		}
+		if(feature?.$type === "app.bsky.richtext.facet#tag") {
+			return `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}`;
+		}
+	}
+
+	#did;
+
+	// Handle (including custom domains) or DID
+	// `postTypes` and `excludePostTypes`: replies, reposts (both are excluded by default)
+	constructor(actor, options = {}) {
+		super();
+		this.actor = BlueskyUser.normalizeUsername(actor);
+
+		let include = BlueskyApi.toArray(options.postTypes);
+		let exclude = BlueskyApi.toArray(options.excludePostTypes);
+		for(let postType of [...include, ...exclude]) {
+			if(!BlueskyApi.POST_TYPES.includes(postType)) {
+				throw new Error(`Invalid Bluesky post type: ${postType} (expected one of ${BlueskyApi.POST_TYPES.join(", ")})`);
+			}
+		}
+
+		this.includeReplies = include.includes("replies") && !exclude.includes("replies");
+		this.includeReposts = include.includes("reposts") && !exclude.includes("reposts");
+		// Merge a thread of replies to your own posts into the first post
+		this.mergeThreads = Boolean(options.threads);
+	}
+
+	static getFilePath(url) {
+		return BlueskyUser.getFilePath(url);
+	}
+
+	getType() {
+		return "json";
+	}
+
+	#getApiUrl(method, params = {}) {
+		let url = new URL(method, API_URL);
+		for(let key in params) {
+			url.searchParams.set(key, params[key]);
+		}
+		return url.toString();
+	}
+
+	async #resolveDid() {
+		if(this.actor.startsWith("did:")) {
+			return this.actor;
+		}
+
+		// Warning: extra API call
+		let data = await this.getData(this.#getApiUrl("com.atproto.identity.resolveHandle", { handle: this.actor }), this.getType());
+		if(!data?.did) {
+			throw new Error(`Could not resolve Bluesky handle: ${this.actor}`);
+		}
+		return data.did;
+	}
+
+	async getEntries() {
+		this.#did = await this.#resolveDid();
+
+		let entries = await super.getEntries();
+		if(this.mergeThreads) {
+			return this.#mergeThreads(entries);
+		}
+		return entries;
+	}
+
+	getUrl() {
+		// return function for paging
+		return (pageNumber = 1, previousData) => {
+			let params = {
+				actor: this.#did,
+				limit: BlueskyApi.PER_PAGE,
+				// Threads by the author are always included
+				filter: this.includeReplies ? "posts_with_replies" : "posts_and_author_threads",
+			};
+
+			if(pageNumber > 1) {
+				if(!previousData?.cursor) {
+					return;
+				}
+				params.cursor = previousData.cursor;
+			}
+
+			return this.#getApiUrl("app.bsky.feed.getAuthorFeed", params);
+		};
+	}
+
+	getEntriesFromData(data) {
+		return (data?.feed || []).filter(item => {
+			// Reposts have a `reason`
+			if(!item.reason) {
+				return true;
+			}
+
+			// Reposts of your own posts would duplicate the original post
+			return this.includeReposts && item.post?.author?.did !== this.#did;
+		});
+	}
+
+	getUniqueIdFromEntry(entry) {
+		// Matches the RSS `guid` used by `bluesky` imports
+		return `${DataSource.UUID_PREFIX}::${Rss.TYPE}::${entry.post.uri}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.post.record?.createdAt),
+		};
+	}
+
+	#getImagesHtml(images = []) {
+		return images.map(image => {
+			return `<img src="${entities.escapeAttribute(image.fullsize)}" alt="${entities.escapeAttribute(image.alt || "")}">`;
+		}).join("\n");
+	}
+
+	#getEmbedHtml(embed) {
+		if(!embed) {
+			return "";
+		}
+
+		if(embed.$type === "app.bsky.embed.images#view") {
+			return this.#getImagesHtml(embed.images);
+		}
+
+		if(embed.$type === "app.bsky.embed.video#view") {
+			// HLS playlists aren’t downloadable, the thumbnail is used instead
+			return embed.thumbnail ? `<img src="${entities.escapeAttribute(embed.thumbnail)}" alt="${entities.escapeAttribute(embed.alt || "")}">` : "";
+		}
+
+		if(embed.$type === "app.bsky.embed.external#view") {
+			let { uri, title, description } = embed.external;
+			let html = [`<p><a href="${entities.escapeAttribute(uri)}">${entities.escapeText(title || uri)}</a></p>`];
+			if(description) {
+				html.push(`<p>${entities.escapeText(description)}</p>`);
+			}
+			return `<blockquote>${html.join("")}</blockquote>`;
+		}
+
+		if(embed.$type === "app.bsky.embed.record#view") {
+			let record = embed.record;
+			if(record?.$type !== "app.bsky.embed.record#viewRecord") {
+				// deleted, blocked or not a post
+				return "";
+			}
+
+			let url = BlueskyApi.getPostUrl(record.author.handle, record.uri);
+			let text = BlueskyApi.renderFacets(record.value?.text, record.value?.facets);
+			return `<blockquote><p>${text}</p><p>— <a href="${entities.escapeAttribute(url)}">@${entities.escapeText(record.author.handle)}</a></p></blockquote>`;
+		}
+
+		if(embed.$type === "app.bsky.embed.recordWithMedia#view") {
+			// `record` isn’t a union, so has no `$type`
+			let record = Object.assign({ $type: "app.bsky.embed.record#view" }, embed.record);
+			return [this.#getEmbedHtml(embed.media), this.#getEmbedHtml(record)].filter(Boolean).join("\n");
+		}
+
+		return "";
+	}
+
+	cleanEntry(rawEntry) {
+		let { post } = rawEntry;
+		let record = post.record || {};
+
+		let content = `<p>${BlueskyApi.renderFacets(record.text, record.facets)}</p>`;
+		let embedHtml = this.#getEmbedHtml(post.embed);
+		if(embedHtml) {
+			content += `\n${embedHtml}`;
+		}
+
+		let metadata = {};
+		let tags = (record.facets || []).flatMap(facet => facet.features || []).filter(feature => feature.$type === "app.bsky.richtext.facet#tag").map(feature => feature.tag);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		if(rawEntry.reason) {
+			metadata.repostOf = BlueskyApi.getPostUrl(post.author.handle, post.uri);
+		}
+
+		let { created } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: BlueskyApi.TYPE,
+			title: this.toReadableDate(record.createdAt),
+			url: BlueskyApi.getPostUrl(post.author.handle, post.uri),
+			authors: [
+				{
+					name: post.author.displayName || post.author.handle,
+					url: `https://bsky.app/profile/${post.author.handle}`,
+				}
+			],
+			date: created,
+			content,
+			contentType: "html",
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		// Used to merge threads
+		Object.defineProperty(cleanEntry, "thread", {
+			enumerable: false,
+			value: {
+				uri: post.uri,
+				isOwnPost: post.author.did === this.#did && !rawEntry.reason,
+				parentUri: record.reply?.parent?.uri,
+			},
+		});
+
+		return cleanEntry;
+	}
+
+	// Self-replies (direct replies to your own posts) are appended (oldest first) to the thread’s first post
+	// Replies to someone else inside of a thread start a new thread
+	#mergeThreads(entries) {
+		let ownPosts = new Map(entries.filter(entry => entry.thread.isOwnPost).map(entry => [entry.thread.uri, entry]));
+		let isSelfReply = entry => entry.thread.isOwnPost && ownPosts.has(entry.thread.parentUri);
+
+		let replies = entries.filter(isSelfReply).sort((a, b) => a.date - b.date);
+		for(let reply of replies) {
+			let root = reply;
+			while(isSelfReply(root)) {
+				root = ownPosts.get(root.thread.parentUri);
+			}
+
+			root.content += `\n${reply.content}`;
+			root.dateUpdated = reply.date;
+
+			let tags = root.tags || [];
+			for(let tag of reply.tags || []) {
+				if(!tags.includes(tag)) {
+					tags.push(tag);
+				}
+			}
+			if(tags.length) {
+				root.tags = tags;
+				root.metadata.tags = tags;
+			}
+		}
+
+		return entries.filter(entry => !replies.includes(entry));
+	}
+}
+
+export { BlueskyApi };
@@ -0,0 +1,253 @@
+import "dotenv/config"
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+
+// Articles written in the v1 editor keep their front matter in `body_markdown`
+const FRONT_MATTER = /^\uFEFF?---\r?\n[\s\S]*?\r?\n---\r?\n?/;
+
+// Code (fenced or inline) and existing `{% raw %}` blocks, captured when splitting
+const CODE_OR_RAW = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`|\{%-?\s*raw\s*-?%\}[\s\S]*?\{%-?\s*endraw\s*-?%\})/;
+
+// Articles by one user from dev.to (or any other Forem community)
+class DevTo extends DataSource {
+	static TYPE = "devto";
+	static TYPE_FRIENDLY = "DEV";
+	static DEFAULT_SITE_URL = "https://dev.to/";
+	static PER_PAGE = 100;
+
+	// Unpublished articles (the API key owner’s articles)
+	#isOwner = false;
+
+	static wrapRaw(content) {
+		return `{% raw %}${content}{% endraw %}`;
+	}
+
+	// Username or profile URL (e.g. `https://dev.to/username`)
+	constructor(user) {
+		super();
+
+		if(this.isValidHttpUrl(user)) {
+			let url = new URL(user);
+			this.username = url.pathname.split("/").filter(Boolean)[0]?.replace(/^@/, "");
+			this.siteUrl = url.origin + "/";
+		} else {
+			this.username = user.replace(/^@/, "");
+			this.siteUrl = DevTo.DEFAULT_SITE_URL;
+		}
+	}
+
+	// Forem Liquid tags (e.g. `{% embed … %}`, `{% youtube … %}`, `{% github … %}`) would break Eleventy’s Liquid
+	// Common tags are converted to HTML or links, any other Liquid syntax is wrapped in `{% raw %}`
+	convertLiquidTags(content) {
+		return content.split(CODE_OR_RAW).map((segment, index) => {
+			// Odd indexes are code or raw blocks
+			if(index % 2 === 1) {
+				if(/^\{%-?\s*raw\b/.test(segment) || !/\{[{%]/.test(segment)) {
+					return segment;
+				}
+				return DevTo.wrapRaw(segment);
+			}
+
+			return segment.replace(/\{%-?\s*(\w+)\s*([\s\S]*?)\s*-?%\}|\{\{[\s\S]*?\}\}/g, (match, name, rawParams = "") => {
+				let arg = rawParams.split(/\s+/)[0].replace(/^["']|["']$/g, "");
+				if(!name || !arg) {
+					return DevTo.wrapRaw(match);
+				}
+
+				if(name === "youtube") {
+					return `<iframe src="https://www.youtube-nocookie.com/embed/${entities.escapeAttribute(encodeURIComponent(arg))}" title="YouTube video" width="560" height="315" frameborder="0" allowfullscreen loading="lazy"></iframe>`;
+				}
+				if(name === "vimeo") {
+					return `<iframe src="https://player.vimeo.com/video/${entities.escapeAttribute(encodeURIComponent(arg))}" title="Vimeo video" width="640" height="360" frameborder="0" allowfullscreen loading="lazy"></iframe>`;
+				}
+
+				let url;
+				if(name === "twitter" || name === "tweet") {
+					url = `https://twitter.com/i/status/${encodeURIComponent(arg)}`;
+				} else if(name === "github" && !this.isValidHttpUrl(arg)) {
+					// e.g. `{% github 11ty/eleventy %}`
+					url = `https://github.com/${arg}`;
+				} else if(name === "link" || name === "post") {
+					// e.g. `{% link username/article-slug %}`
+					url = (new URL(arg, this.siteUrl)).toString();
+				} else if(this.isValidHttpUrl(arg)) {
+					// e.g. `{% embed https://… %}`, `{% codepen https://… %}`
+					url = arg;
+				}
+
+				if(this.isValidHttpUrl(url)) {
+					return `<${url}>`;
+				}
+
+				return DevTo.wrapRaw(match);
+			});
+		}).join("");
+	}
+
+	getType() {
+		return "json";
+	}
+
+	#getApiUrl(pathname, params = {}) {
+		let url = new URL(`api/${pathname}`, this.siteUrl);
+		for(let key in params) {
+			url.searchParams.set(key, params[key]);
+		}
+		return url.toString();
+	}
+
+	async #isApiKeyOwner() {
+		if(!process.env.DEVTO_API_KEY) {
+			return false;
+		}
+		if(!this.username) {
+			return true;
+		}
+
+		try {
+			// Warning: extra API call
+			let user = await this.getData(this.#getApiUrl("users/me"), this.getType());
+			return user?.username?.toLowerCase() === this.username.toLowerCase();
+		} catch(e) {
+			// Fetch logs the error upstream, use the public articles
+			return false;
+		}
+	}
+
+	async getEntries() {
+		this.#isOwner = await this.#isApiKeyOwner();
+
+		return super.getEntries();
+	}
+
+	getUrl() {
+		// return function for paging
+		return (pageNumber = 1) => {
+			// Includes unpublished articles, for the owner of the API key
+			if(this.#isOwner) {
+				return this.#getApiUrl("articles/me/all", { page: pageNumber, per_page: DevTo.PER_PAGE });
+			}
+
+			return this.#getApiUrl("articles", { username: this.username, page: pageNumber, per_page: DevTo.PER_PAGE });
+		};
+	}
+
+	getHeaders() {
+		if(process.env.DEVTO_API_KEY) {
+			return {
+				"api-key": process.env.DEVTO_API_KEY,
+			};
+		}
+
+		return {};
+	}
+
+	getEntriesFromData(data) {
+		if(Array.isArray(data)) {
+			return data;
+		}
+
+		return [];
+	}
+
+	getUrlFromEntry(entry) {
+		return entry.url;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${DevTo.TYPE}::${entry.id}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.published_at),
+			updated: this.toDateObj(rawEntry.edited_at),
+		};
+	}
+
+	// `tag_list` is an array in collections, a string on single articles
+	#getTags(rawEntry) {
+		if(Array.isArray(rawEntry.tag_list)) {
+			return rawEntry.tag_list;
+		}
+		if(Array.isArray(rawEntry.tags)) {
+			return rawEntry.tags;
+		}
+		return (rawEntry.tag_list || "").split(",").map(tag => tag.trim()).filter(Boolean);
+	}
+
+	// Public article collections don’t include `body_markdown`
+	async #getArticle(rawEntry) {
+		if(typeof rawEntry.body_markdown === "string") {
+			return rawEntry;
+		}
+
+		// Warning: extra API call
+		return this.getData(this.#getApiUrl(`articles/${rawEntry.id}`), this.getType());
+	}
+
+	async cleanEntry(rawEntry) {
+		let article;
+		try {
+			article = await this.#getArticle(rawEntry);
+		} catch(e) {
+			// Fetch logs the error upstream, skip this article
+			return;
+		}
+
+		let metadata = {};
+		if(article.cover_image) {
+			metadata.media = {
+				featuredImage: article.cover_image,
+			};
+		}
+
+		// Cross-posted articles link back to the original
+		if(article.canonical_url && article.canonical_url !== article.url) {
+			metadata.canonicalUrl = article.canonical_url;
+		}
+
+		if(article.description) {
+			metadata.description = article.description;
+		}
+
+		let tags = this.#getTags(article);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let author = {
+			name: article.user?.name || this.username,
+			url: (new URL(article.user?.username || this.username, this.siteUrl)).toString(),
+		};
+		if(article.user?.profile_image) {
+			author.avatarUrl = article.user.profile_image;
+		}
+
+		let { created, updated } = this.getRawEntryDates(article);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(article),
+			type: DevTo.TYPE,
+			title: article.title,
+			url: this.getUrlFromEntry(article),
+			authors: [author],
+			date: created,
+			dateUpdated: updated,
+			content: this.convertLiquidTags((article.body_markdown || "").replace(FRONT_MATTER, "").trim()),
+			// Markdown is native here (no HTML round trip)
+			contentType: "markdown",
+			status: this.cleanStatus(article.published === false || !article.published_at ? "draft" : "publish"),
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { DevTo };
@@ -0,0 +1,198 @@
+import "dotenv/config"
+
+import { DataSource } from "../DataSource.js";
+import { Logger } from "../Logger.js";
+
+// Pages through JSON:API node collections (Drupal 9+, core `jsonapi` module)
+class Drupal extends DataSource {
+	static TYPE = "drupal";
+	static TYPE_FRIENDLY = "Drupal";
+	static DEFAULT_CONTENT_TYPE = "article";
+	// Relationships fetched in the same request (standard install profile field names)
+	static DEFAULT_RELATIONSHIPS = ["uid", "field_tags", "field_image"];
+	static PAGE_LIMIT = 50;
+
+	constructor(url, options = {}) {
+		super();
+		this.url = url;
+		// Content type machine name, e.g. `article` or `page`
+		this.contentType = options.contentType || Drupal.DEFAULT_CONTENT_TYPE;
+		this.relationships = options.relationships || Drupal.DEFAULT_RELATIONSHIPS;
+	}
+
+	getType() {
+		return "json";
+	}
+
+	// Drupal can be installed in a subfolder, API URLs and path aliases are relative to it
+	#getBaseUrl() {
+		let url = new URL(this.url);
+		if(!url.pathname.endsWith("/")) {
+			url.pathname += "/";
+		}
+		return url.toString();
+	}
+
+	#getCollectionUrl() {
+		let params = new URLSearchParams();
+		if(this.relationships.length > 0) {
+			params.set("include", this.relationships.join(","));
+		}
+		params.set("sort", "-created");
+		params.set("page[limit]", Drupal.PAGE_LIMIT);
+
+		return (new URL(`jsonapi/node/${this.contentType}?${params}`, this.#getBaseUrl())).toString();
+	}
+
+	getUrl() {
+		// return function for paging
+		return (pageNumber = 1, previousData) => {
+			if(pageNumber === 1) {
+				return this.#getCollectionUrl();
+			}
+
+			// Last page has no `next` link
+			return previousData?.links?.next?.href;
+		};
+	}
+
+	async getData(url, type, showErrors) {
+		try {
+			return await super.getData(url, type, showErrors);
+		} catch(e) {
+			// Relationships missing from the content type (e.g. no `field_image`) are a 400 Bad Request
+			if(this.relationships.length > 0 && e?.cause instanceof Response && e.cause.status === 400 && url === this.#getCollectionUrl()) {
+				if(this.isVerbose) {
+					Logger.warning(`Drupal could not include relationships (${this.relationships.join(", ")}) for the ${this.contentType} content type, retrying without them.`);
+				}
+
+				this.relationships = [];
+				return super.getData(this.#getCollectionUrl(), type, showErrors);
+			}
+
+			throw e;
+		}
+	}
+
+	getHeaders() {
+		// Unpublished nodes are only returned to authenticated users (requires the core `basic_auth` module)
+		if(process.env.DRUPAL_USERNAME && process.env.DRUPAL_PASSWORD) {
+			return {
+				"Authorization": "Basic " + btoa(`${process.env.DRUPAL_USERNAME}:${process.env.DRUPAL_PASSWORD}`),
+			};
+		}
+
+		return {};
+	}
+
+	getEntriesFromData(data) {
+		if(Array.isArray(data?.data)) {
+			return data.data;
+		}
+
+		return [];
+	}
+
+	getUrlFromEntry(entry) {
+		// e.g. `/blog/my-post` (without the subfolder)
+		let alias = entry.attributes?.path?.alias?.replace(/^\/+/, "");
+		return (new URL(alias || `node/${entry.attributes?.drupal_internal__nid}`, this.#getBaseUrl())).toString();
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${Drupal.TYPE}::${entry.id}`;
+	}
+
+	// Relationship targets are listed once in `included` (shared by all entries on the page)
+	#getRelated(rawEntry, data) {
+		let related = [];
+		for(let name in rawEntry.relationships || {}) {
+			let relationshipData = rawEntry.relationships[name]?.data;
+			for(let ref of Array.isArray(relationshipData) ? relationshipData : [relationshipData]) {
+				let target = (data?.included || []).find(included => included.type === ref?.type && included.id === ref?.id);
+				if(target) {
+					related.push({ name, target });
+				}
+			}
+		}
+		return related;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.attributes?.created),
+			updated: this.toDateObj(rawEntry.attributes?.changed),
+		};
+	}
+
+	cleanStatus(status) {
+		return status ? "publish" : "draft";
+	}
+
+	cleanEntry(rawEntry, data) {
+		let related = this.#getRelated(rawEntry, data);
+
+		let authors = related.filter(({ target }) => target.type === "user--user").map(({ target }) => {
+			return {
+				name: target.attributes?.display_name || target.attributes?.name,
+			};
+		}).filter(author => author.name);
+
+		let tags = related.filter(({ target }) => target.type.startsWith("taxonomy_term--")).map(({ target }) => {
+			return target.attributes?.name;
+		}).filter(Boolean);
+
+		let metadata = {};
+		let images = related.filter(({ target }) => target.type === "file--file" && target.attributes?.filemime?.startsWith("image/"));
+		if(images.length) {
+			metadata.media = {};
+			for(let { name, target } of images) {
+				let url = (new URL(target.attributes.uri.url, this.url)).toString();
+				if(!metadata.media.featuredImage) {
+					metadata.media.featuredImage = url;
+				} else {
+					// Multiple images in one field, e.g. `field_gallery`, `field_gallery_2`
+					let key = name;
+					for(let index = 2; metadata.media[key]; index++) {
+						key = `${name}_${index}`;
+					}
+					metadata.media[key] = url;
+				}
+			}
+		}
+
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let summary = rawEntry.attributes?.body?.summary;
+		if(summary) {
+			metadata.description = summary;
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Drupal.TYPE,
+			title: rawEntry.attributes?.title,
+			url: this.getUrlFromEntry(rawEntry),
+			authors,
+			date: created,
+			dateUpdated: updated,
+			// Rendered through the text format filters
+			content: rawEntry.attributes?.body?.processed || "",
+			contentType: "html",
+			status: this.cleanStatus(rawEntry.attributes?.status),
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { Drupal };
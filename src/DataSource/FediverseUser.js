@@ -2,13 +2,55 @@ import path from "node:path";
 import { DataSource } from "../DataSource.js";
 import { Rss } from "./Rss.js";
 
+// Post URL formats, by server software
+const POST_URL_PATTERNS = {
+	mastodon: [
+		/^\/@(?<username>[^/]+)\/(?<postId>\d+)\/?$/,
+		/^\/users\/(?<username>[^/]+)\/statuses\/(?<postId>\d+)\/?$/,
+	],
+	gotosocial: [
+		/^\/@(?<username>[^/]+)\/statuses\/(?<postId>\w+)\/?$/,
+	],
+	pleroma: [
+		/^\/notice\/(?<postId>[\w-]+)\/?$/,
+		/^\/objects\/(?<postId>[\w-]+)\/?$/,
+	],
+	misskey: [
+		/^\/notes\/(?<postId>\w+)\/?$/,
+	],
+};
+
+// Forks and compatible servers use the same URL formats
+const SOFTWARE_ALIASES = {
+	hometown: "mastodon",
+	glitchsoc: "mastodon",
+	akkoma: "pleroma",
+	sharkey: "misskey",
+	firefish: "misskey",
+	iceshrimp: "misskey",
+	foundkey: "misskey",
+	cherrypick: "misskey",
+	calckey: "misskey",
+};
+
+// RSS feed location, by server software
+const FEED_URLS = {
+	mastodon: (hostname, username) => `https://${hostname}/users/${username}.rss`,
+	gotosocial: (hostname, username) => `https://${hostname}/@${username}/feed.rss`,
+	pleroma: (hostname, username) => `https://${hostname}/users/${username}/feed.rss`,
+	misskey: (hostname, username) => `https://${hostname}/@${username}.rss`,
+};
+
+const ACTIVITY_JSON_TYPES = ["application/activity+json", "application/ld+json"];
+
 class FediverseUser extends Rss {
 	static TYPE = "fediverse";
 	static TYPE_FRIENDLY = "Fediverse";
 
 	constructor(fullUsername) {
 		let { username, hostname } = FediverseUser.parseUsername(fullUsername);
-		super(`https://${hostname}/users/${username}.rss`);
+		// Mastodon format is used until the account is resolved
+		super(FEED_URLS.mastodon(hostname, username));
 
 		this.username = username;
 		this.hostname = hostname;
@@ -27,8 +69,34 @@ class FediverseUser extends Rss {
 		}
 	}
 
-	static parseFromUrl(url) {
+	static getSoftwareName(name = "") {
+		name = name.toLowerCase().replace(/[^a-z]/g, "");
+		return SOFTWARE_ALIASES[name] || name;
+	}
+
+	static parseFromUrl(url, software) {
 		let { hostname, pathname } = new URL(url);
+
+		// Known server software first, then any other format
+		let patterns = POST_URL_PATTERNS[software] || [];
+		for(let name in POST_URL_PATTERNS) {
+			if(name !== software) {
+				patterns = patterns.concat(POST_URL_PATTERNS[name]);
+			}
+		}
+
+		for(let pattern of patterns) {
+			let match = pathname.match(pattern);
+			if(match) {
+				let { username, postId } = match.groups;
+				return {
+					username,
+					hostname,
+					postId,
+				};
+			}
+		}
+
 		let [empty, username, postId] = pathname.split("/");
 
 		return {
@@ -43,6 +111,83 @@ class FediverseUser extends Rss {
 		return path.join(`${username}@${hostname}`, postId);
 	}
 
+	// Some post URLs don’t include a username (Pleroma, Misskey)
+	getFilePath(url) {
+		let { hostname, username, postId } = FediverseUser.parseFromUrl(url, this.software);
+		return path.join(`${username || this.username}@${hostname}`, postId);
+	}
+
+	async getFetchOptions(url) {
+		if(url === this.actorUrl) {
+			return {
+				headers: {
+					"Accept": ACTIVITY_JSON_TYPES[0],
+				},
+			};
+		}
+
+		return {};
+	}
+
+	async #getSoftware(hostname) {
+		// https://nodeinfo.diaspora.software/protocol
+		let discovery = await this.getData(`https://${hostname}/.well-known/nodeinfo`, "json");
+		// Newest schema version is last
+		let nodeInfoUrl = discovery?.links?.at(-1)?.href;
+		if(!nodeInfoUrl) {
+			return;
+		}
+
+		let nodeInfo = await this.getData(nodeInfoUrl, "json");
+		return FediverseUser.getSoftwareName(nodeInfo?.software?.name);
+	}
+
+	// Handles on custom domains can point to an account on another server
+	async resolveAccount() {
+		let resource = `acct:${this.username}@${this.hostname}`;
+		let webfinger = await this.getData(`https://${this.hostname}/.well-known/webfinger?resource=${encodeURIComponent(resource)}`, "json");
+
+		let self = (webfinger?.links || []).find(link => link.rel === "self" && ACTIVITY_JSON_TYPES.some(type => link.type?.startsWith(type)));
+		if(!self?.href) {
+			return;
+		}
+
+		this.actorUrl = self.href;
+		let actor = await this.getData(this.actorUrl, "json");
+
+		let hostname = (new URL(this.actorUrl)).hostname;
+		let username = actor?.preferredUsername || this.username;
+		let software = await this.#getSoftware(hostname);
+
+		return {
+			username,
+			hostname,
+			software,
+		};
+	}
+
+	async getEntries() {
+		let account;
+		try {
+			account = await this.resolveAccount();
+		} catch(e) {
+			// Fetch logs the error upstream
+		}
+
+		// Falls back to the Mastodon feed URL
+		if(account) {
+			let { username, hostname, software } = account;
+			this.username = username;
+			this.hostname = hostname;
+			this.software = software;
+
+			let getFeedUrl = FEED_URLS[software] || FEED_URLS.mastodon;
+			this.url = getFeedUrl(hostname, username);
+		}
+
+		return super.getEntries();
+	}
+
 	cleanEntry(entry, data) {
 		let obj = super.cleanEntry(entry, data);
 		obj.type = FediverseUser.TYPE;
@@ -0,0 +1,266 @@
+import "dotenv/config"
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { Logger } from "../Logger.js";
+import { HtmlTree } from "../HtmlTree.js";
+
+// Used in Ghost exports in place of the site URL
+const GHOST_URL_PLACEHOLDER = "__GHOST_URL__";
+
+class Ghost extends DataSource {
+	static TYPE = "ghost";
+	static TYPE_FRIENDLY = "Ghost";
+	// Ghost’s own default local development URL, used when an export file has no `siteUrl` option
+	static DEFAULT_SITE_URL = "http://localhost:2368/";
+
+	// Ghost cards are styled by Ghost themes and don’t make sense outside of Ghost
+	static convertCards(html) {
+		if(!html || !html.includes("kg-")) {
+			return html;
+		}
+
+		let root = HtmlTree.parse(html);
+
+		for(let node of HtmlTree.querySelectorAll(root, ".kg-bookmark-card")) {
+			let href = HtmlTree.getAttribute(HtmlTree.querySelector(node, "a"), "href") || "";
+			let title = HtmlTree.getText(HtmlTree.querySelector(node, ".kg-bookmark-title")).trim();
+			let description = HtmlTree.getText(HtmlTree.querySelector(node, ".kg-bookmark-description")).trim();
+
+			let content = `<p><a href="${entities.escapeAttribute(href)}">${entities.escapeText(title || href)}</a></p>`;
+			if(description) {
+				content += `<p>${entities.escapeText(description)}</p>`;
+			}
+
+			HtmlTree.replaceWith(node, `<blockquote>${content}</blockquote>`);
+		}
+
+		for(let node of HtmlTree.querySelectorAll(root, ".kg-gallery-card")) {
+			let content = HtmlTree.querySelectorAll(node, "img").map(img => {
+				return `<img src="${entities.escapeAttribute(HtmlTree.getAttribute(img, "src") || "")}" alt="${entities.escapeAttribute(HtmlTree.getAttribute(img, "alt") || "")}">`;
+			}).join("");
+
+			let figcaption = HtmlTree.querySelector(node, "figcaption");
+			if(figcaption) {
+				content += HtmlTree.render(figcaption);
+			}
+
+			HtmlTree.replaceWith(node, `<figure>${content}</figure>`);
+		}
+
+		for(let node of HtmlTree.querySelectorAll(root, ".kg-callout-card")) {
+			let emoji = HtmlTree.getText(HtmlTree.querySelector(node, ".kg-callout-emoji")).trim();
+			let text = HtmlTree.querySelector(node, ".kg-callout-text");
+
+			HtmlTree.replaceWith(node, `<blockquote><p>${emoji ? `${entities.escapeText(emoji)} ` : ""}${HtmlTree.getInnerHtml(text)}</p></blockquote>`);
+		}
+
+		return HtmlTree.render(root);
+	}
+
+	constructor(target, options = {}) {
+		super();
+
+		if(this.isValidHttpUrl(target)) {
+			this.url = target;
+		} else {
+			this.filePath = target;
+		}
+
+		// Export files don’t include the site URL
+		this.siteUrl = options.siteUrl || this.url;
+	}
+
+	getType() {
+		return "json";
+	}
+
+	#getApiUrl(subtype) {
+		let key = process.env.GHOST_CONTENT_API_KEY;
+		if(!key) {
+			throw new Error("Missing GHOST_CONTENT_API_KEY environment variable (a Content API key from Ghost Admin → Integrations).");
+		}
+
+		let {pathname} = new URL(this.url);
+		if(!pathname.endsWith("/")) {
+			pathname += "/";
+		}
+
+		return (pageNumber = 1) => {
+			return (new URL(pathname + `ghost/api/content/${subtype}/?key=${key}&include=authors,tags&formats=html&limit=100&page=${pageNumber}`, this.url)).toString();
+		};
+	}
+
+	getUrl() {
+		// Export files are read from the local file system
+		if(!this.url) {
+			return;
+		}
+
+		// return functions for paging
+		return [
+			this.#getApiUrl("posts"),
+			this.#getApiUrl("pages"),
+		];
+	}
+
+	async getData(url, type, showErrors) {
+		if(this.filePath) {
+			if(!this.siteUrl) {
+				this.siteUrl = Ghost.DEFAULT_SITE_URL;
+
+				if(this.isVerbose) {
+					Logger.warning(`Ghost export files don’t include the site URL, using ${Ghost.DEFAULT_SITE_URL} (use --siteurl to change).`);
+				}
+			}
+
+			return this.getLocalData(this.filePath, "json");
+		}
+
+		return super.getData(url, type, showErrors);
+	}
+
+	// Ghost Admin export files nest content and store relationships separately
+	#getExportData(data) {
+		// Export files have a `db` array, some older exports don’t
+		return data?.db?.[0]?.data || data?.data;
+	}
+
+	getEntriesFromData(data) {
+		let exportData = this.#getExportData(data);
+		if(exportData) {
+			return (exportData.posts || []).filter(post => {
+				return post.type === "post" || post.type === "page" || !post.type;
+			});
+		}
+
+		// Content API
+		return data.posts || data.pages || [];
+	}
+
+	#replaceUrlPlaceholder(str) {
+		if(typeof str !== "string") {
+			return str;
+		}
+
+		let siteUrl = this.siteUrl.endsWith("/") ? this.siteUrl.slice(0, -1) : this.siteUrl;
+		return str.split(GHOST_URL_PLACEHOLDER).join(siteUrl);
+	}
+
+	getUrlFromEntry(entry) {
+		if(entry.url) {
+			return entry.url;
+		}
+
+		// Ghost’s default permalink structure (same for posts and pages)
+		return (new URL(`${entry.slug}/`, this.siteUrl)).toString();
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${Ghost.TYPE}::${entry.uuid || entry.id}`;
+	}
+
+	#getAuthors(rawEntry, data) {
+		let authors = rawEntry.authors;
+
+		let exportData = this.#getExportData(data);
+		if(exportData) {
+			let authorIds = (exportData.posts_authors || []).filter(entry => entry.post_id === rawEntry.id).sort((a, b) => {
+				return (a.sort_order || 0) - (b.sort_order || 0);
+			}).map(entry => entry.author_id);
+
+			// Older exports only have `author_id`
+			if(authorIds.length === 0 && rawEntry.author_id) {
+				authorIds.push(rawEntry.author_id);
+			}
+
+			authors = authorIds.map(id => (exportData.users || []).find(user => user.id === id)).filter(Boolean);
+		}
+
+		return (authors || []).map(author => {
+			let obj = {
+				name: author.name,
+			};
+			let url = author.website || author.url;
+			if(url) {
+				obj.url = url;
+			}
+			if(author.profile_image) {
+				obj.avatarUrl = this.#replaceUrlPlaceholder(author.profile_image);
+			}
+			return obj;
+		});
+	}
+
+	#getTags(rawEntry, data) {
+		let tags = rawEntry.tags;
+
+		let exportData = this.#getExportData(data);
+		if(exportData) {
+			let tagIds = (exportData.posts_tags || []).filter(entry => entry.post_id === rawEntry.id).sort((a, b) => {
+				return (a.sort_order || 0) - (b.sort_order || 0);
+			}).map(entry => entry.tag_id);
+
+			tags = tagIds.map(id => (exportData.tags || []).find(tag => tag.id === id)).filter(Boolean);
+		}
+
+		// Internal tags (prefixed with #) are used for theme logic
+		return (tags || []).filter(tag => tag.visibility !== "internal" && !tag.name.startsWith("#")).map(tag => tag.name);
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.published_at || rawEntry.created_at),
+			updated: this.toDateObj(rawEntry.updated_at),
+		};
+	}
+
+	cleanStatus(status) {
+		// Content API only returns published content
+		if(!status || status === "published") {
+			return "publish";
+		}
+
+		// Scheduled posts are treated as drafts
+		return "draft";
+	}
+
+	async cleanEntry(rawEntry, data) {
+		let metadata = {};
+
+		if(rawEntry.feature_image) {
+			metadata.media = {
+				featuredImage: this.#replaceUrlPlaceholder(rawEntry.feature_image),
+			};
+		}
+
+		let tags = this.#getTags(rawEntry, data);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Ghost.TYPE,
+			title: rawEntry.title,
+			url: this.getUrlFromEntry(rawEntry),
+			authors: this.#getAuthors(rawEntry, data),
+			date: created,
+			dateUpdated: updated,
+			content: Ghost.convertCards(this.#replaceUrlPlaceholder(rawEntry.html || "")),
+			contentType: "html",
+			status: this.cleanStatus(rawEntry.status),
+			metadata,
+		};
+
+		if(metadata.tags) {
+			cleanEntry.tags = metadata.tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { Ghost };
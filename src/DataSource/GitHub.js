@@ -0,0 +1,336 @@
+import "dotenv/config"
+import { DateCompare } from "@11ty/eleventy-utils";
+
+import { DataSource } from "../DataSource.js";
+
+const API_URL = "https://api.github.com/";
+// Discussions are only available in the GraphQL API
+const GRAPHQL_URL = "https://api.github.com/graphql";
+
+const DISCUSSIONS_QUERY = `query($owner: String!, $name: String!, $categoryId: ID, $after: String) {
+	repository(owner: $owner, name: $name) {
+		discussions(first: 100, after: $after, categoryId: $categoryId, orderBy: { field: CREATED_AT, direction: DESC }) {
+			pageInfo { hasNextPage endCursor }
+			nodes {
+				id number title body url createdAt updatedAt
+				author { login url avatarUrl }
+				category { name slug }
+				labels(first: 100) { nodes { name } }
+				reactions { totalCount }
+			}
+		}
+	}
+}`;
+
+const CATEGORY_QUERY = `query($owner: String!, $name: String!, $slug: String!) {
+	repository(owner: $owner, name: $name) {
+		discussionCategory(slug: $slug) { id }
+	}
+}`;
+
+// Releases, issues (by label) or discussions (by category) for one repository
+class GitHub extends DataSource {
+	static TYPE = "github";
+	static TYPE_FRIENDLY = "GitHub";
+	static MODES = ["releases", "issues", "discussions"];
+	static PER_PAGE = 100;
+
+	// Repository (`owner/repo`) or GitHub URL, e.g.
+	// `https://github.com/owner/repo/labels/bug` or `https://github.com/owner/repo/discussions/categories/announcements`
+	static parseTarget(target = "") {
+		let pathname = target;
+		try {
+			pathname = (new URL(target)).pathname;
+		} catch(e) {
+			// not a URL
+		}
+
+		let [owner, repo, section, ...rest] = pathname.split("/").filter(Boolean).map(segment => decodeURIComponent(segment));
+		let parsed = {
+			owner,
+			repo,
+			mode: GitHub.MODES.includes(section) ? section : "releases",
+		};
+
+		if(section === "labels" && rest[0]) {
+			parsed.mode = "issues";
+			parsed.label = rest[0];
+		} else if(section === "discussions" && rest[0] === "categories" && rest[1]) {
+			parsed.category = rest[1];
+		}
+
+		return parsed;
+	}
+
+	#categoryId;
+
+	constructor(target, options = {}) {
+		super();
+
+		let { owner, repo, mode, label, category } = GitHub.parseTarget(target);
+		if(!owner || !repo) {
+			throw new Error(`Invalid GitHub repository: ${target} (expected owner/repo)`);
+		}
+
+		this.owner = owner;
+		this.repo = repo;
+		this.mode = options.mode || mode;
+		this.label = options.label || label;
+		this.category = options.category || category;
+
+		if(!GitHub.MODES.includes(this.mode)) {
+			throw new Error(`Invalid GitHub mode: ${this.mode} (expected one of ${GitHub.MODES.join(", ")})`);
+		}
+	}
+
+	getType() {
+		return "json";
+	}
+
+	#getApiUrl(pathname, params = {}) {
+		let url = new URL(`repos/${this.owner}/${this.repo}/${pathname}`, API_URL);
+		for(let key in params) {
+			url.searchParams.set(key, params[key]);
+		}
+		return url.toString();
+	}
+
+	getUrl() {
+		if(this.mode === "discussions") {
+			if(!process.env.GITHUB_TOKEN) {
+				throw new Error("Missing GITHUB_TOKEN environment variable (required for the GitHub GraphQL API).");
+			}
+
+			// return function for paging
+			return (pageNumber = 1, previousData) => {
+				if(pageNumber === 1) {
+					return GRAPHQL_URL;
+				}
+
+				let pageInfo = previousData?.data?.repository?.discussions?.pageInfo;
+				if(pageInfo?.hasNextPage) {
+					// The cursor is kept in the hash (unique cache keys), it’s sent in the request body
+					return `${GRAPHQL_URL}#after=${encodeURIComponent(pageInfo.endCursor)}`;
+				}
+			};
+		}
+
+		// return function for paging
+		return (pageNumber = 1) => {
+			if(this.mode === "issues") {
+				let params = {
+					state: "all",
+					per_page: GitHub.PER_PAGE,
+					page: pageNumber,
+				};
+				if(this.label) {
+					params.labels = this.label;
+				}
+				if(this.within) {
+					let ms = DateCompare.getDurationMs(this.within);
+					params.since = this.toIsoDate(new Date(Date.now() - ms));
+				}
+
+				return this.#getApiUrl("issues", params);
+			}
+
+			return this.#getApiUrl("releases", { per_page: GitHub.PER_PAGE, page: pageNumber });
+		};
+	}
+
+	getHeaders() {
+		let headers = {
+			"Accept": "application/vnd.github+json",
+			"X-GitHub-Api-Version": "2022-11-28",
+		};
+
+		// Higher rate limits, private repositories and draft releases
+		if(process.env.GITHUB_TOKEN) {
+			headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+		}
+
+		return headers;
+	}
+
+	async #getCategoryId() {
+		let data = await this.getData(`${GRAPHQL_URL}#slug=${encodeURIComponent(this.category)}`, this.getType());
+		let id = data?.data?.repository?.discussionCategory?.id;
+		if(!id) {
+			throw new Error(`Could not find GitHub discussion category: ${this.category}`);
+		}
+		return id;
+	}
+
+	async getFetchOptions(url) {
+		if(!url?.startsWith(GRAPHQL_URL)) {
+			return {};
+		}
+
+		let variables = {
+			owner: this.owner,
+			name: this.repo,
+		};
+
+		let hash = new URLSearchParams(new URL(url).hash.slice(1));
+		if(hash.has("slug")) {
+			return {
+				method: "POST",
+				body: JSON.stringify({ query: CATEGORY_QUERY, variables: Object.assign(variables, { slug: hash.get("slug") }) }),
+			};
+		}
+
+		// Discussion categories are filtered by ID
+		if(this.category) {
+			if(!this.#categoryId) {
+				this.#categoryId = await this.#getCategoryId();
+			}
+			variables.categoryId = this.#categoryId;
+		}
+		if(hash.has("after")) {
+			variables.after = hash.get("after");
+		}
+
+		return {
+			method: "POST",
+			body: JSON.stringify({ query: DISCUSSIONS_QUERY, variables }),
+		};
+	}
+
+	getEntriesFromData(data) {
+		if(this.mode === "discussions") {
+			if(data?.errors?.length) {
+				throw new Error(`GitHub GraphQL error: ${data.errors[0].message}`);
+			}
+			return data?.data?.repository?.discussions?.nodes || [];
+		}
+
+		if(Array.isArray(data)) {
+			// Pull requests are also returned by the issues endpoint
+			return data.filter(entry => !entry.pull_request);
+		}
+
+		return [];
+	}
+
+	getUrlFromEntry(entry) {
+		return entry.html_url || entry.url;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		// REST and GraphQL share the same global node IDs
+		return `${DataSource.UUID_PREFIX}::${GitHub.TYPE}::${entry.node_id || entry.id}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		if(this.mode === "discussions") {
+			return {
+				created: this.toDateObj(rawEntry.createdAt),
+				updated: this.toDateObj(rawEntry.updatedAt),
+			};
+		}
+
+		if(this.mode === "issues") {
+			return {
+				created: this.toDateObj(rawEntry.created_at),
+				updated: this.toDateObj(rawEntry.updated_at),
+			};
+		}
+
+		return {
+			// Draft releases have no publish date
+			created: this.toDateObj(rawEntry.published_at || rawEntry.created_at),
+		};
+	}
+
+	#getAuthors(user) {
+		if(!user?.login) {
+			return [];
+		}
+
+		return [
+			{
+				name: user.login,
+				url: user.html_url || user.url,
+				avatarUrl: user.avatar_url || user.avatarUrl,
+			}
+		];
+	}
+
+	#getLabels(rawEntry) {
+		let labels = rawEntry.labels?.nodes || rawEntry.labels || [];
+		return labels.map(label => typeof label === "string" ? label : label.name).filter(Boolean);
+	}
+
+	cleanEntry(rawEntry) {
+		let metadata = {};
+		let status = "publish";
+		let title = rawEntry.title;
+
+		if(this.mode === "releases") {
+			title = rawEntry.name || rawEntry.tag_name;
+			metadata.tag = rawEntry.tag_name;
+			if(rawEntry.prerelease) {
+				metadata.prerelease = true;
+			}
+
+			// Release assets are linked (not downloaded)
+			if(rawEntry.assets?.length) {
+				metadata.assets = rawEntry.assets.map(asset => {
+					return {
+						name: asset.name,
+						url: asset.browser_download_url,
+						contentType: asset.content_type,
+						size: asset.size,
+					};
+				});
+			}
+
+			if(rawEntry.draft) {
+				status = "draft";
+			}
+		} else if(this.mode === "issues") {
+			metadata.number = rawEntry.number;
+			metadata.state = rawEntry.state;
+		} else if(this.mode === "discussions") {
+			metadata.number = rawEntry.number;
+			if(rawEntry.category?.name) {
+				metadata.category = rawEntry.category.name;
+			}
+		}
+
+		let reactions = rawEntry.reactions?.total_count ?? rawEntry.reactions?.totalCount;
+		if(reactions !== undefined) {
+			metadata.reactions = reactions;
+		}
+
+		let labels = this.#getLabels(rawEntry);
+		if(labels.length) {
+			metadata.tags = labels;
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: GitHub.TYPE,
+			title,
+			url: this.getUrlFromEntry(rawEntry),
+			authors: this.#getAuthors(rawEntry.author || rawEntry.user),
+			date: created,
+			dateUpdated: updated,
+			// GitHub Flavored Markdown
+			content: rawEntry.body || "",
+			contentType: "markdown",
+			status: this.cleanStatus(status),
+			metadata,
+		};
+
+		if(labels.length) {
+			cleanEntry.tags = labels;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { GitHub };
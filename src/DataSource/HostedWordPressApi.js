@@ -3,6 +3,8 @@ import { DataSource } from "../DataSource.js";
 class HostedWordPressApi extends DataSource {
 	static TYPE = "wordpressapi-hosted";
 	static TYPE_FRIENDLY = "WordPress.com";
+	// `wordpress` type options that only work with self-hosted WordPress
+	static UNSUPPORTED_OPTIONS = ["username", "password", "token", "comments", "apiRoot"];
 
 	static #getHostname(url) {
 		try {
@@ -17,7 +19,19 @@ class HostedWordPressApi extends DataSource {
 		return hostname.endsWith(".wordpress.com");
 	}
 
-	constructor(url) {
+	// Only public posts are available
+	static getUnsupportedOptions(options = {}) {
+		let unsupported = HostedWordPressApi.UNSUPPORTED_OPTIONS.filter(name => options[name]);
+
+		let postTypes = typeof options.postTypes === "string" ? options.postTypes.split(",").map(entry => entry.trim()).filter(Boolean) : (options.postTypes || []);
+		if(postTypes.some(postType => postType !== "posts")) {
+			unsupported.push("postTypes");
+		}
+
+		return unsupported;
+	}
+
+	constructor(url, options = {}) {
 		super();
 		this.url = url;
 
@@ -25,6 +39,11 @@ class HostedWordPressApi extends DataSource {
 			throw new Error("HostedWordPressApi expects a .wordpress.com URL, if you’re looking to use a self-hosted WordPress API please use the `wordpress` type (`WordPressApi` class).");
 		}
 
+		let unsupported = HostedWordPressApi.getUnsupportedOptions(options);
+		if(unsupported.length) {
+			throw new Error(`WordPress.com sites (${url}) only support importing public posts, unsupported options: ${unsupported.map(name => `\`${name}\``).join(", ")}`);
+		}
+
 		this.hostname = HostedWordPressApi.#getHostname(url);
 	}
 
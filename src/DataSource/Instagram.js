@@ -0,0 +1,195 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import slugify from "@sindresorhus/slugify";
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".webm"];
+
+// Reads an Instagram export (Accounts Center → Download your information, JSON format), folder or .zip
+class Instagram extends DataSource {
+	static TYPE = "instagram";
+	static TYPE_FRIENDLY = "Instagram";
+
+	// Export strings are UTF-8 bytes escaped as Latin-1 characters, e.g. `â\u009c¨` for ✨
+	static fixEncoding(str = "") {
+		if(!/[\u0080-ÿ]/.test(str) || /[^\u0000-ÿ]/.test(str)) {
+			return str;
+		}
+		return Buffer.from(str, "latin1").toString("utf8");
+	}
+
+	static getHashtags(caption = "") {
+		return Array.from(caption.matchAll(/#([\p{L}\p{N}_]+)/gu), match => match[1]);
+	}
+
+	constructor(target) {
+		super();
+		this.target = target;
+	}
+
+	async #readJson(dir, filename) {
+		let relativePath = LocalFiles.findFile(dir, filename);
+		if(relativePath) {
+			return this.getLocalData(path.join(dir, relativePath), "json");
+		}
+	}
+
+	async #getUsername(dir) {
+		let info = await this.#readJson(dir, "personal_information.json");
+		let username = info?.profile_user?.[0]?.string_map_data?.Username?.value;
+		return username ? Instagram.fixEncoding(username) : undefined;
+	}
+
+	// Larger exports split posts into `posts_1.json`, `posts_2.json`, etc.
+	#getPostsPaths(dir) {
+		let postsPath = LocalFiles.findFile(dir, "posts_1.json");
+		if(!postsPath) {
+			return [];
+		}
+
+		let postsDir = path.posix.dirname(postsPath);
+		return LocalFiles.getFiles(dir).filter(filePath => {
+			return path.posix.dirname(filePath) === postsDir && /^posts_\d+\.json$/.test(path.posix.basename(filePath));
+		}).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+	}
+
+	async getData() {
+		let dir = this.getLocalDirectory(this.target);
+
+		let postsPaths = this.#getPostsPaths(dir);
+		if(!postsPaths.length) {
+			throw new Error(`Could not find posts_1.json in Instagram export: ${this.target}`);
+		}
+
+		// Media `uri` values are relative to the export root, e.g. `content/posts_1.json` or (newer exports) `your_instagram_activity/content/posts_1.json`
+		let root = path.posix.dirname(path.posix.dirname(postsPaths[0]));
+		if(path.posix.basename(root) === "your_instagram_activity") {
+			root = path.posix.dirname(root);
+		}
+		this.root = path.resolve(dir, root);
+
+		this.username = await this.#getUsername(dir);
+
+		let entries = [];
+		for(let postsPath of postsPaths) {
+			let posts = await this.getLocalData(path.join(dir, postsPath), "json");
+			for(let post of posts || []) {
+				entries.push(Object.assign({ kind: "post" }, post));
+			}
+		}
+
+		let reels = await this.#readJson(dir, "reels.json");
+		for(let reel of reels?.ig_reels_media || []) {
+			entries.push(Object.assign({ kind: "reel" }, reel));
+		}
+
+		// Stories are single media entries
+		let stories = await this.#readJson(dir, "stories.json");
+		for(let story of stories?.ig_stories || []) {
+			entries.push({
+				kind: "story",
+				media: [story],
+			});
+		}
+
+		return entries.filter(entry => entry.media?.length);
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${Instagram.TYPE}::${entry.media[0].uri}`;
+	}
+
+	// Mirrors the media file path, e.g. `media/posts/202301/12345.jpg` to `posts/202301/12345`
+	getFilePath(url, entry) {
+		let relativePath = path.relative(this.root, entry.sourceFilePath).split(path.sep).join("/");
+		let { dir, name } = path.posix.parse(relativePath.replace(/^media\//, ""));
+		return [...(dir ? dir.split("/") : []), name].map(segment => slugify(segment)).join("/");
+	}
+
+	// Media files are copied from the export
+	resolveAssetUrl(assetUrl) {
+		try {
+			// Absolute URLs are unchanged
+			return (new URL(assetUrl)).toString();
+		} catch(e) {
+			return pathToFileURL(path.join(this.root, assetUrl)).toString();
+		}
+	}
+
+	getLocalAssetRoots() {
+		return [this.root];
+	}
+
+	getRawEntryDates(rawEntry) {
+		// Single media posts only have a timestamp on the media
+		let timestamp = rawEntry.creation_timestamp || rawEntry.media[0].creation_timestamp;
+		return {
+			created: timestamp ? new Date(timestamp * 1000) : undefined,
+		};
+	}
+
+	#getMediaHtml(media) {
+		let src = entities.escapeAttribute(media.uri);
+		if(VIDEO_EXTENSIONS.includes(path.extname(media.uri).toLowerCase())) {
+			return `<video src="${src}" controls></video>`;
+		}
+		return `<img src="${src}" alt="">`;
+	}
+
+	cleanEntry(rawEntry) {
+		// Carousel captions are on the post, single media captions on the media
+		let caption = Instagram.fixEncoding(rawEntry.title || rawEntry.media[0].title || "");
+
+		let content = rawEntry.media.map(media => this.#getMediaHtml(media));
+		if(caption) {
+			content.unshift(`<p>${DataSource.nl2br(entities.escapeText(caption))}</p>`);
+		}
+
+		let metadata = {
+			kind: rawEntry.kind,
+		};
+
+		let tags = Instagram.getHashtags(caption);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let authors = [];
+		if(this.username) {
+			authors.push({
+				name: this.username,
+				url: `https://www.instagram.com/${this.username}/`,
+			});
+		}
+
+		let { created } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Instagram.TYPE,
+			title: created ? this.toReadableDate(created) : "",
+			authors,
+			date: created,
+			content: content.join("\n"),
+			contentType: "html",
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		// Instagram exports don’t have post URLs, the local media file is used for the output path
+		Object.defineProperty(cleanEntry, "sourceFilePath", {
+			enumerable: false,
+			value: path.join(this.root, rawEntry.media[0].uri),
+		});
+
+		return cleanEntry;
+	}
+}
+
+export { Instagram };
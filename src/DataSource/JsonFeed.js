@@ -0,0 +1,163 @@
+import { DataSource } from "../DataSource.js";
+import { Fetcher } from "../Fetcher.js";
+
+class JsonFeed extends DataSource {
+	static TYPE = "jsonfeed";
+	static TYPE_FRIENDLY = "JSON Feed";
+
+	constructor(url) {
+		super();
+		this.url = url;
+	}
+
+	getType() {
+		return "json";
+	}
+
+	getUrl() {
+		return this.url;
+	}
+
+	getEntriesFromData(data) {
+		if(Array.isArray(data?.items)) {
+			return data.items;
+		}
+
+		return [];
+	}
+
+	getUrlFromEntry(entry, data) {
+		if(entry.url) {
+			return entry.url;
+		}
+		if(this.isValidHttpUrl(entry.external_url)) {
+			return entry.external_url;
+		}
+		// `id` is often (but not always) a URL
+		if(this.isValidHttpUrl(entry.id)) {
+			return entry.id;
+		}
+
+		// Otherwise use the home page (or feed) URL with a hash of the `id`
+		let baseUrl = this.isValidHttpUrl(data?.home_page_url) ? data.home_page_url : this.url;
+		return `${baseUrl.split("#")[0]}#${Fetcher.createHash(String(entry.id ?? JSON.stringify(entry)))}`;
+	}
+
+	// Hashes are used as the file name, e.g. `blog/abc123` for `/blog/#abc123`
+	getFilePath(url) {
+		let { pathname, hash } = new URL(url);
+		if(hash) {
+			return `${pathname.replace(/\/$/, "")}/${hash.slice(1)}`;
+		}
+		return pathname;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${JsonFeed.TYPE}::${entry.id}`;
+	}
+
+	// JSON Feed 1.1 uses `authors`, 1.0 uses `author`
+	#getAuthors(rawEntry, data) {
+		let authors = rawEntry.authors || (rawEntry.author ? [rawEntry.author] : undefined);
+		if(!authors) {
+			authors = data?.authors || (data?.author ? [data.author] : []);
+		}
+
+		if(authors.length === 0 && data?.title) {
+			return [
+				{
+					name: data.title,
+					url: data.home_page_url,
+				}
+			];
+		}
+
+		return authors.map(author => {
+			let obj = {
+				name: author.name,
+			};
+			if(author.url) {
+				obj.url = author.url;
+			}
+			if(author.avatar) {
+				obj.avatarUrl = author.avatar;
+			}
+			return obj;
+		});
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.date_published || rawEntry.date_modified),
+			updated: this.toDateObj(rawEntry.date_modified),
+		};
+	}
+
+	cleanEntry(rawEntry, data) {
+		let metadata = {};
+
+		if(rawEntry.image || rawEntry.banner_image) {
+			let media = {};
+			if(rawEntry.image) {
+				media.featuredImage = rawEntry.image;
+			}
+			if(rawEntry.banner_image) {
+				media.bannerImage = rawEntry.banner_image;
+			}
+			metadata.media = media;
+		}
+
+		if(rawEntry.summary) {
+			metadata.summary = rawEntry.summary;
+		}
+
+		if(Array.isArray(rawEntry.attachments) && rawEntry.attachments.length > 0) {
+			metadata.attachments = rawEntry.attachments.map(attachment => {
+				let obj = {
+					url: attachment.url,
+					mimeType: attachment.mime_type,
+				};
+				if(attachment.title) {
+					obj.title = attachment.title;
+				}
+				if(attachment.size_in_bytes) {
+					obj.size = attachment.size_in_bytes;
+				}
+				if(attachment.duration_in_seconds) {
+					obj.duration = attachment.duration_in_seconds;
+				}
+				return obj;
+			});
+		}
+
+		if(Array.isArray(rawEntry.tags) && rawEntry.tags.length > 0) {
+			metadata.tags = rawEntry.tags;
+		}
+
+		// content_html is preferred when both are present
+		let isHtml = typeof rawEntry.content_html === "string";
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: JsonFeed.TYPE,
+			title: rawEntry.title || (created ? this.toReadableDate(created) : ""),
+			url: this.getUrlFromEntry(rawEntry, data),
+			authors: this.#getAuthors(rawEntry, data),
+			date: created,
+			dateUpdated: updated,
+			content: isHtml ? rawEntry.content_html : (rawEntry.content_text || ""),
+			contentType: isHtml ? "html" : "text",
+			metadata,
+		};
+
+		if(metadata.tags) {
+			cleanEntry.tags = metadata.tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { JsonFeed };
@@ -0,0 +1,143 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import fs from "graceful-fs";
+import picomatch from "picomatch";
+
+import { DataSource } from "../DataSource.js";
+import { HtmlExtractor } from "../HtmlExtractor.js";
+import { LocalFiles } from "../LocalFiles.js";
+
+// Imports a local folder of .html files (e.g. an old static site)
+class LocalDirectory extends DataSource {
+	static TYPE = "directory";
+	static TYPE_FRIENDLY = "Local Directory";
+	static DEFAULT_INCLUDE = ["**/*.html", "**/*.htm"];
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(typeof value === "string") {
+			return value.split(",").map(entry => entry.trim()).filter(Boolean);
+		}
+		return [];
+	}
+
+	constructor(dir, options = {}) {
+		super();
+		this.dir = dir;
+		this.root = path.resolve(dir);
+
+		let include = LocalDirectory.toArray(options.include);
+		this.isIncluded = picomatch(include.length ? include : LocalDirectory.DEFAULT_INCLUDE);
+
+		let exclude = LocalDirectory.toArray(options.exclude);
+		this.isExcluded = exclude.length ? picomatch(exclude) : () => false;
+
+		// CSS selector for the main content of each file
+		this.selector = options.selector;
+	}
+
+	async getData() {
+		let dir = this.getLocalDirectory(this.dir);
+		// Zip files are extracted to a different folder
+		this.root = path.resolve(dir);
+
+		let entries = [];
+		for(let relativePath of LocalFiles.getFiles(dir)) {
+			if(!this.isIncluded(relativePath) || this.isExcluded(relativePath)) {
+				continue;
+			}
+
+			let filePath = path.join(dir, relativePath);
+			entries.push({
+				relativePath,
+				html: await this.getLocalData(filePath),
+				modified: fs.statSync(filePath).mtime,
+			});
+		}
+
+		return entries;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${LocalDirectory.TYPE}::${entry.relativePath}`;
+	}
+
+	// Mirrors the relative file path, `index.html` files use the folder name
+	getFilePath(url, entry) {
+		let relativePath = path.relative(this.root, entry.sourceFilePath);
+		let { dir, name } = path.parse(relativePath);
+		if(name === "index") {
+			return dir ? `${dir}/` : name;
+		}
+
+		return path.join(dir, name);
+	}
+
+	// Relative references are resolved against the local file system
+	resolveAssetUrl(assetUrl, entry) {
+		if(assetUrl.startsWith("//")) {
+			return `https:${assetUrl}`;
+		}
+		if(assetUrl.startsWith("/")) {
+			// Like a web server, `..` can’t go above the root
+			let rootRelativePath = path.posix.normalize(decodeURIComponent(assetUrl.split(/[?#]/)[0]));
+			return pathToFileURL(path.join(this.root, rootRelativePath)).toString();
+		}
+
+		try {
+			// Absolute URLs (https:, data:, etc) are unchanged
+			return (new URL(assetUrl)).toString();
+		} catch(e) {
+			return (new URL(assetUrl, pathToFileURL(entry.sourceFilePath))).toString();
+		}
+	}
+
+	getLocalAssetRoots() {
+		return [this.root];
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: rawEntry.modified,
+			updated: rawEntry.modified,
+		};
+	}
+
+	cleanEntry(rawEntry) {
+		let root = HtmlExtractor.parse(rawEntry.html);
+		let pageMetadata = HtmlExtractor.getMetadata(root);
+
+		let metadata = {};
+		if(pageMetadata.description) {
+			metadata.description = pageMetadata.description;
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: LocalDirectory.TYPE,
+			title: pageMetadata.title,
+			authors: pageMetadata.authors,
+			date: this.toDateObj(pageMetadata.published) || created,
+			dateUpdated: this.toDateObj(pageMetadata.modified) || updated,
+			content: HtmlExtractor.getContent(root, {
+				selector: this.selector,
+			}) || "",
+			contentType: "html",
+			metadata,
+		};
+
+		// Local file paths aren’t used as the URL (used for output paths and relative references)
+		Object.defineProperty(cleanEntry, "sourceFilePath", {
+			enumerable: false,
+			value: path.join(this.root, rawEntry.relativePath),
+		});
+
+		return cleanEntry;
+	}
+}
+
+export { LocalDirectory };
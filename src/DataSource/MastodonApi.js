@@ -0,0 +1,244 @@
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { FediverseUser } from "./FediverseUser.js";
+import { Rss } from "./Rss.js";
+
+// Full post history from the Mastodon API (the RSS feed only has recent, top-level posts)
+class MastodonApi extends DataSource {
+	static TYPE = "mastodon";
+	static TYPE_FRIENDLY = "Mastodon";
+	// Maximum allowed by Mastodon
+	static PER_PAGE = 40;
+	static POST_TYPES = ["replies", "boosts", "pinned"];
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(typeof value === "string") {
+			return value.split(",").map(entry => entry.trim()).filter(Boolean);
+		}
+		return [];
+	}
+
+	#accountId;
+	#pinnedIds = new Set();
+
+	// `postTypes` and `excludePostTypes`: replies, boosts, pinned (replies and boosts are excluded by default)
+	constructor(fullUsername, options = {}) {
+		super();
+
+		let { username, hostname } = FediverseUser.parseUsername(fullUsername);
+		this.username = username;
+		this.hostname = hostname;
+
+		let include = MastodonApi.toArray(options.postTypes);
+		let exclude = MastodonApi.toArray(options.excludePostTypes);
+		for(let postType of [...include, ...exclude]) {
+			if(!MastodonApi.POST_TYPES.includes(postType)) {
+				throw new Error(`Invalid Mastodon post type: ${postType} (expected one of ${MastodonApi.POST_TYPES.join(", ")})`);
+			}
+		}
+
+		this.includeReplies = include.includes("replies") && !exclude.includes("replies");
+		this.includeBoosts = include.includes("boosts") && !exclude.includes("boosts");
+		this.includePinned = !exclude.includes("pinned");
+	}
+
+	static getFilePath(url) {
+		return FediverseUser.getFilePath(url);
+	}
+
+	getType() {
+		return "json";
+	}
+
+	#getApiUrl(pathname, params = {}) {
+		let url = new URL(`/api/v1/${pathname}`, `https://${this.hostname}`);
+		for(let key in params) {
+			url.searchParams.set(key, params[key]);
+		}
+		return url.toString();
+	}
+
+	async getEntries() {
+		// Warning: extra API call
+		let account = await this.getData(this.#getApiUrl("accounts/lookup", { acct: this.username }), this.getType());
+		this.#accountId = account.id;
+
+		if(!this.includePinned) {
+			// Warning: extra API call
+			let pinned = await this.getData(this.#getApiUrl(`accounts/${this.#accountId}/statuses`, { pinned: true }), this.getType());
+			this.#pinnedIds = new Set(pinned.map(status => status.id));
+		}
+
+		return super.getEntries();
+	}
+
+	getUrl() {
+		// return function for paging
+		return (pageNumber = 1, previousData) => {
+			let params = {
+				limit: MastodonApi.PER_PAGE,
+				exclude_replies: !this.includeReplies,
+				exclude_reblogs: !this.includeBoosts,
+			};
+
+			if(pageNumber > 1) {
+				// Statuses are newest first, the next page starts before the oldest one
+				let oldest = previousData?.[previousData.length - 1];
+				if(!oldest) {
+					return;
+				}
+				params.max_id = oldest.id;
+			}
+
+			return this.#getApiUrl(`accounts/${this.#accountId}/statuses`, params);
+		};
+	}
+
+	getEntriesFromData(data) {
+		if(!Array.isArray(data)) {
+			return [];
+		}
+
+		// Pinned posts are also in their usual place in the timeline
+		return data.filter(status => !this.#pinnedIds.has(status.id));
+	}
+
+	getUrlFromEntry(entry) {
+		// Boosts are kept with your own posts (some servers use the original post URL for `url`)
+		if(entry.reblog) {
+			return `https://${this.hostname}/@${this.username}/${entry.id}`;
+		}
+		return entry.url || entry.uri;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		// Matches the RSS `guid` used by `fediverse` imports (boosts use the URI of the boost activity)
+		let id = entry.reblog ? (entry.uri || this.getUrlFromEntry(entry)) : this.getUrlFromEntry(entry);
+		return `${DataSource.UUID_PREFIX}::${Rss.TYPE}::${id}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.created_at),
+			updated: this.toDateObj(rawEntry.edited_at),
+		};
+	}
+
+	#getMediaHtml(attachments = []) {
+		return attachments.map(attachment => {
+			let url = entities.escapeAttribute(attachment.url);
+			let alt = entities.escapeAttribute(attachment.description || "");
+
+			if(attachment.type === "image") {
+				return `<img src="${url}" alt="${alt}">`;
+			}
+			if(attachment.type === "gifv") {
+				return `<video src="${url}" aria-label="${alt}" autoplay loop muted playsinline></video>`;
+			}
+			if(attachment.type === "video") {
+				return `<video src="${url}" aria-label="${alt}" controls></video>`;
+			}
+			if(attachment.type === "audio") {
+				return `<audio src="${url}" aria-label="${alt}" controls></audio>`;
+			}
+
+			return `<a href="${url}">${entities.escapeText(attachment.description || attachment.url)}</a>`;
+		}).join("\n");
+	}
+
+	#getPollHtml(poll) {
+		let options = poll.options.map(option => {
+			let votes = typeof option.votes_count === "number" ? ` (${option.votes_count} votes)` : "";
+			return `<li>${entities.escapeText(option.title)}${votes}</li>`;
+		});
+
+		return `<ul>\n${options.join("\n")}\n</ul>`;
+	}
+
+	cleanEntry(rawEntry) {
+		// Boosts use the content of the original post
+		let status = rawEntry.reblog || rawEntry;
+
+		let metadata = {
+			visibility: rawEntry.visibility,
+		};
+
+		let content = status.content || "";
+
+		let media = (status.media_attachments || []).filter(attachment => attachment.url);
+		if(media.length) {
+			content += `\n${this.#getMediaHtml(media)}`;
+		}
+
+		if(status.poll) {
+			content += `\n${this.#getPollHtml(status.poll)}`;
+
+			metadata.poll = {
+				options: status.poll.options.map(option => {
+					return {
+						title: option.title,
+						votes: option.votes_count,
+					};
+				}),
+				votes: status.poll.votes_count,
+				multiple: status.poll.multiple,
+				expires: status.poll.expires_at,
+			};
+		}
+
+		if(status.spoiler_text) {
+			metadata.contentWarning = status.spoiler_text;
+			content = `<details><summary>${entities.escapeText(status.spoiler_text)}</summary>\n${content}\n</details>`;
+		}
+
+		if(status.sensitive) {
+			metadata.sensitive = true;
+		}
+
+		if(rawEntry.reblog) {
+			metadata.boostOf = this.getUrlFromEntry(rawEntry.reblog);
+		}
+
+		if(status.in_reply_to_id) {
+			metadata.inReplyToId = status.in_reply_to_id;
+		}
+
+		let tags = (status.tags || []).map(tag => tag.name);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: MastodonApi.TYPE,
+			title: this.toReadableDate(rawEntry.created_at),
+			url: this.getUrlFromEntry(rawEntry),
+			authors: [
+				{
+					name: status.account?.display_name || status.account?.username,
+					url: status.account?.url,
+					avatarUrl: status.account?.avatar,
+				}
+			],
+			date: created,
+			dateUpdated: updated,
+			content,
+			contentType: "html",
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { MastodonApi };
@@ -0,0 +1,125 @@
+import path from "node:path";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+import { HtmlTree } from "../HtmlTree.js";
+
+// Medium duplicates the title and subtitle inside of the post body
+const CHROME_SELECTORS = [
+	".graf--title",
+	".graf--subtitle",
+	".section-divider",
+];
+
+// Reads a Medium export (Settings → Download your information): a `posts` folder of HTML files (folder or .zip)
+class Medium extends DataSource {
+	static TYPE = "medium";
+	static TYPE_FRIENDLY = "Medium";
+
+	static cleanHtml(html = "") {
+		let root = HtmlTree.parse(html);
+
+		for(let node of HtmlTree.querySelectorAll(root, CHROME_SELECTORS.join(", "))) {
+			HtmlTree.remove(node);
+		}
+
+		return HtmlTree.render(root).trim();
+	}
+
+	static getFilePath(url) {
+		let {pathname} = new URL(url);
+		return pathname.split("/").filter(Boolean).pop();
+	}
+
+	// e.g. 2019-05-01_My-Post-Title-abc123def456.html or draft_My-Post-Title-abc123def456.html
+	static parseFilename(filename) {
+		let basename = path.posix.basename(filename, ".html");
+		return {
+			id: basename.split("-").pop(),
+			isDraft: basename.startsWith("draft_"),
+		};
+	}
+
+	constructor(target) {
+		super();
+		this.target = target;
+	}
+
+	async getData() {
+		let dir = this.getLocalDirectory(this.target);
+
+		let entries = [];
+		for(let filePath of LocalFiles.getFiles(dir)) {
+			// Other folders in the export (e.g. profile, claps) are not posts
+			if(!filePath.endsWith(".html") || path.posix.basename(path.posix.dirname(filePath)) !== "posts") {
+				continue;
+			}
+
+			let html = await this.getLocalData(path.join(dir, filePath));
+			entries.push({
+				filename: path.posix.basename(filePath),
+				document: HtmlTree.parse(html),
+			});
+		}
+
+		return entries;
+	}
+
+	getUrlFromEntry(entry) {
+		let canonical = HtmlTree.getAttribute(HtmlTree.querySelector(entry.document, ".p-canonical"), "href");
+		if(canonical) {
+			return canonical;
+		}
+
+		// Drafts don’t have a canonical URL
+		let { id } = Medium.parseFilename(entry.filename);
+		return `https://medium.com/p/${id}`;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		let { id } = Medium.parseFilename(entry.filename);
+		return `${DataSource.UUID_PREFIX}::${Medium.TYPE}::${id}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(HtmlTree.getAttribute(HtmlTree.querySelector(rawEntry.document, "time.dt-published"), "datetime")),
+		};
+	}
+
+	cleanEntry(rawEntry) {
+		let { document } = rawEntry;
+
+		let metadata = {};
+		let subtitle = HtmlTree.getText(HtmlTree.querySelector(document, '[data-field="subtitle"]')).trim();
+		if(subtitle) {
+			metadata.subtitle = subtitle;
+		}
+
+		let authors = HtmlTree.querySelectorAll(document, ".p-author").map(author => {
+			return {
+				name: HtmlTree.getText(author).trim(),
+				url: HtmlTree.getAttribute(author, "href"),
+			};
+		});
+
+		let title = HtmlTree.getText(HtmlTree.querySelector(document, ".p-name") || HtmlTree.querySelector(document, "title")).trim();
+		let { isDraft } = Medium.parseFilename(rawEntry.filename);
+		let { created } = this.getRawEntryDates(rawEntry);
+
+		return {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Medium.TYPE,
+			title,
+			url: this.getUrlFromEntry(rawEntry),
+			authors,
+			date: created,
+			content: Medium.cleanHtml(HtmlTree.getInnerHtml(HtmlTree.querySelector(document, '[data-field="body"]'))),
+			contentType: "html",
+			status: this.cleanStatus(isDraft || !created ? "draft" : "publish"),
+			metadata,
+		};
+	}
+}
+
+export { Medium };
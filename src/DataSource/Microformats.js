@@ -0,0 +1,246 @@
+import { mf2 } from "microformats-parser";
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { Fetcher } from "../Fetcher.js";
+
+// Context for responses, e.g. `u-in-reply-to`
+const CONTEXT_PROPERTIES = {
+	"in-reply-to": { key: "inReplyTo", label: "In reply to" },
+	"like-of": { key: "likeOf", label: "Liked" },
+	"repost-of": { key: "repostOf", label: "Reposted" },
+};
+
+// microformats2 `h-entry` posts from an HTML page (e.g. an `h-feed`), following `rel=next` pagination
+// https://microformats.org/wiki/h-entry
+class Microformats extends DataSource {
+	static TYPE = "microformats";
+	static TYPE_FRIENDLY = "Microformats (h-feed)";
+
+	static getString(value) {
+		if(typeof value === "string") {
+			return value;
+		}
+		// e.g. `{ value, alt }` for u-photo or `{ html, value }` for e-*
+		return value?.value || value?.properties?.name?.[0] || "";
+	}
+
+	static normalizeWhitespace(str = "") {
+		return str.replace(/\s+/g, " ").trim();
+	}
+
+	static getUrl(value) {
+		if(typeof value === "string") {
+			return value;
+		}
+		if(value?.properties?.url?.[0]) {
+			return value.properties.url[0];
+		}
+		return value?.value;
+	}
+
+	// `h-card` or a plain name/URL
+	static getAuthor(value) {
+		if(!value) {
+			return;
+		}
+
+		if(typeof value === "string") {
+			if(value.startsWith("https://") || value.startsWith("http://")) {
+				return { name: value, url: value };
+			}
+			return { name: value };
+		}
+
+		let { name, url, photo } = value.properties || {};
+		let author = {
+			name: Microformats.getString(name?.[0]) || value.value,
+		};
+		if(url?.[0]) {
+			author.url = url[0];
+		}
+		if(photo?.[0]) {
+			author.avatarUrl = Microformats.getUrl(photo[0]);
+		}
+		return author;
+	}
+
+	// `h-entry` items, including those in an `h-feed`
+	static findEntries(items = [], feed) {
+		let entries = [];
+		for(let item of items) {
+			if(item.type?.includes("h-entry")) {
+				entries.push({ item, feed });
+			} else if(item.type?.includes("h-feed")) {
+				entries.push(...Microformats.findEntries(item.children, item));
+			} else if(item.children) {
+				entries.push(...Microformats.findEntries(item.children, feed));
+			}
+		}
+		return entries;
+	}
+
+	constructor(url) {
+		super();
+		this.url = url;
+	}
+
+	getType() {
+		return "text";
+	}
+
+	// Parsed microformats (`items`, `rels`) and the page `url`
+	async getData(url, type, showErrors) {
+		let html = await super.getData(url, type, showErrors);
+		let data = mf2(html || "", {
+			baseUrl: url,
+		});
+		data.url = url;
+		return data;
+	}
+
+	getUrl() {
+		let visited = new Set();
+
+		// return function for paging
+		return (pageNumber = 1, previousData) => {
+			let url = pageNumber === 1 ? this.url : previousData?.rels?.next?.[0];
+			if(!url || visited.has(url)) {
+				return;
+			}
+
+			visited.add(url);
+			return url;
+		};
+	}
+
+	getEntriesFromData(data) {
+		return Microformats.findEntries(data?.items).map(entry => {
+			entry.pageUrl = data.url;
+			return entry;
+		});
+	}
+
+	// Entries without a `u-url` or `u-uid` use the page URL with a hash of their properties
+	getUrlFromEntry({ item, pageUrl }) {
+		let url = item.properties.url?.[0] || item.properties.uid?.[0];
+		if(url) {
+			return url;
+		}
+		return `${pageUrl}#${Fetcher.createHash(JSON.stringify(item.properties))}`;
+	}
+
+	// Hashes are used as the file name, e.g. `notes/abc123` for `/notes/#abc123`
+	getFilePath(url) {
+		let { pathname, hash } = new URL(url);
+		if(hash) {
+			return `${pathname.replace(/\/$/, "")}/${hash.slice(1)}`;
+		}
+		return pathname;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${Microformats.TYPE}::${entry.item.properties.uid?.[0] || this.getUrlFromEntry(entry)}`;
+	}
+
+	getRawEntryDates({ item }) {
+		return {
+			created: this.toDateObj(item.properties.published?.[0]),
+			updated: this.toDateObj(item.properties.updated?.[0]),
+		};
+	}
+
+	// URL or `h-cite`
+	#getContextHtml(label, value) {
+		let url = Microformats.getUrl(value);
+		let link = `<a href="${entities.escapeAttribute(url)}">${entities.escapeText(Microformats.getString(value.properties?.name?.[0]) || url)}</a>`;
+
+		let html = [`<p>${label} ${link}</p>`];
+		let content = value.properties?.content?.[0];
+		if(content) {
+			html.push(content.html ? content.html : `<p>${entities.escapeText(content)}</p>`);
+		}
+		return `<blockquote>${html.join("")}</blockquote>`;
+	}
+
+	cleanEntry(rawEntry) {
+		let { item, feed } = rawEntry;
+		let { properties } = item;
+
+		let contentProperty = properties.content?.[0];
+		let content = [];
+		let contentHtml = contentProperty?.html ?? entities.escapeText(Microformats.getString(contentProperty));
+
+		let metadata = {};
+		for(let name in CONTEXT_PROPERTIES) {
+			let value = properties[name]?.[0];
+			if(!value) {
+				continue;
+			}
+
+			let { key, label } = CONTEXT_PROPERTIES[name];
+			metadata[key] = Microformats.getUrl(value);
+			content.push(this.#getContextHtml(label, value));
+		}
+
+		if(contentHtml) {
+			content.push(contentHtml);
+		}
+
+		let photos = (properties.photo || []).map(photo => {
+			return {
+				url: Microformats.getUrl(photo),
+				alt: photo?.alt || "",
+			};
+		});
+		for(let photo of photos) {
+			// Photos are often also in `e-content`
+			if(!contentHtml.includes(photo.url)) {
+				content.push(`<img src="${entities.escapeAttribute(photo.url)}" alt="${entities.escapeAttribute(photo.alt)}">`);
+			}
+		}
+		if(photos.length) {
+			metadata.media = {
+				photo: photos[0].url,
+			};
+		}
+
+		let tags = (properties.category || []).map(category => Microformats.getString(category)).filter(Boolean);
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let authors = (properties.author || feed?.properties?.author || []).map(author => Microformats.getAuthor(author)).filter(Boolean);
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		// Notes have an implied name (their text content) and use the date instead
+		let name = Microformats.normalizeWhitespace(Microformats.getString(properties.name?.[0]));
+		let contentText = Microformats.normalizeWhitespace(Microformats.getString(contentProperty));
+		let title = name;
+		if(created && (!name || contentText.startsWith(name))) {
+			title = this.toReadableDate(created);
+		}
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Microformats.TYPE,
+			title,
+			url: this.getUrlFromEntry(rawEntry),
+			authors,
+			date: created,
+			dateUpdated: updated,
+			content: content.join("\n"),
+			contentType: "html",
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { Microformats };
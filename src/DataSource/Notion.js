@@ -0,0 +1,250 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import slugify from "@sindresorhus/slugify";
+import { parse as parseCsv } from "csv-parse/sync";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+
+// Notion appends a 32 character page ID to every exported file and folder name
+const NOTION_ID_SUFFIX = /\s+([0-9a-f]{32})(?=$|\.\w+$)/;
+
+const DATE_PROPERTY_NAMES = ["date", "published", "created", "created time", "created at"];
+const TAG_PROPERTY_NAMES = ["tags", "tag", "labels"];
+
+// Reads a Notion “Markdown & CSV” workspace export (folder or .zip)
+class Notion extends DataSource {
+	static TYPE = "notion";
+	static TYPE_FRIENDLY = "Notion";
+
+	// Extracted export folders, output paths are relative to these
+	#roots = [];
+
+	static getNotionId(name) {
+		return name.match(NOTION_ID_SUFFIX)?.[1];
+	}
+
+	static stripNotionId(name) {
+		return name.replace(NOTION_ID_SUFFIX, "");
+	}
+
+	// Notion removes characters that aren’t allowed in file names (e.g. `/` or `:`) and truncates long titles
+	static normalizeTitle(title = "") {
+		return title.normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+	}
+
+	// e.g. `My Page 1a2b…/Child Page 3c4d….md` to `my-page/child-page`
+	static getOutputPath(relativePath) {
+		let { dir, name } = path.posix.parse(relativePath);
+		return [...(dir ? dir.split("/") : []), name].map(segment => slugify(Notion.stripNotionId(segment))).join("/");
+	}
+
+	constructor(target) {
+		super();
+		this.target = target;
+	}
+
+	// Large exports are split into multiple (nested) zip files
+	#getDirectories(dir) {
+		let dirs = [dir];
+		for(let relativePath of LocalFiles.getFiles(dir)) {
+			if(LocalFiles.isZip(relativePath)) {
+				dirs.push(...this.#getDirectories(this.getLocalDirectory(path.join(dir, relativePath))));
+			}
+		}
+		return dirs;
+	}
+
+	// Database rows (by page file path) from database CSV files
+	async #getDatabaseRows(dir, files) {
+		let rows = {};
+		for(let relativePath of files) {
+			if(!relativePath.endsWith(".csv")) {
+				continue;
+			}
+
+			// Newer exports have both `Database <id>.csv` and `Database <id>_all.csv`
+			let isAll = relativePath.endsWith("_all.csv");
+			if(!isAll && files.includes(relativePath.replace(/\.csv$/, "_all.csv"))) {
+				continue;
+			}
+
+			let csvContent = await this.getLocalData(path.join(dir, relativePath));
+			let records = parseCsv(csvContent.replace(/^\uFEFF/, ""), {
+				columns: true,
+				skip_empty_lines: true,
+				relax_column_count: true,
+			});
+
+			// Row pages are in a folder with the same name as the database
+			let databaseFolder = relativePath.replace(isAll ? /_all\.csv$/ : /\.csv$/, "");
+			let pages = files.filter(filePath => filePath.endsWith(".md") && path.posix.dirname(filePath) === databaseFolder).map(filePath => ({
+				filePath,
+				title: Notion.normalizeTitle(Notion.stripNotionId(path.posix.basename(filePath, ".md"))),
+			}));
+			let unmatched = records.map(record => ({
+				record,
+				title: Notion.normalizeTitle(Object.values(record)[0]),
+			}));
+
+			// Exact matches first, then file names truncated from the row title
+			for(let isMatch of [
+				(rowTitle, pageTitle) => rowTitle === pageTitle,
+				(rowTitle, pageTitle) => Boolean(pageTitle) && rowTitle.startsWith(pageTitle),
+			]) {
+				unmatched = unmatched.filter(({ record, title }) => {
+					let pageIndex = pages.findIndex(page => isMatch(title, page.title));
+					if(pageIndex === -1) {
+						return true;
+					}
+
+					let [page] = pages.splice(pageIndex, 1);
+					rows[page.filePath] = record;
+					return false;
+				});
+			}
+		}
+		return rows;
+	}
+
+	async getData() {
+		let entries = [];
+		// Reset when data is fetched again
+		this.#roots = [];
+		for(let dir of this.#getDirectories(this.getLocalDirectory(this.target))) {
+			let root = path.resolve(dir);
+			if(!this.#roots.includes(root)) {
+				this.#roots.push(root);
+			}
+
+			let files = LocalFiles.getFiles(dir);
+			let databaseRows = await this.#getDatabaseRows(dir, files);
+
+			for(let relativePath of files) {
+				if(!relativePath.endsWith(".md")) {
+					continue;
+				}
+
+				let filePath = path.resolve(dir, relativePath);
+				entries.push({
+					relativePath,
+					filePath,
+					markdown: await this.getLocalData(filePath),
+					properties: databaseRows[relativePath],
+				});
+			}
+		}
+
+		return entries;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		let id = Notion.getNotionId(path.posix.basename(entry.relativePath)) || entry.relativePath;
+		return `${DataSource.UUID_PREFIX}::${Notion.TYPE}::${id}`;
+	}
+
+	getFilePath(url, entry) {
+		let filePath = entry.sourceFilePath;
+		let root = this.#roots.find(root => filePath.startsWith(root + path.sep));
+		// Outside of the export folders, use the file name
+		let relativePath = root ? path.relative(root, filePath) : path.basename(filePath);
+		return Notion.getOutputPath(relativePath.split(path.sep).join("/"));
+	}
+
+	// Local images are copied through the asset pipeline
+	resolveAssetUrl(assetUrl, entry) {
+		try {
+			// Absolute URLs (https:, data:, etc) are unchanged
+			return (new URL(assetUrl)).toString();
+		} catch(e) {
+			return (new URL(assetUrl, pathToFileURL(entry.sourceFilePath))).toString();
+		}
+	}
+
+	#getProperty(properties, names) {
+		for(let key in properties || {}) {
+			if(names.includes(key.toLowerCase()) && properties[key]) {
+				return properties[key];
+			}
+		}
+	}
+
+	getLocalAssetRoots() {
+		return this.#roots;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(this.#getProperty(rawEntry.properties, DATE_PROPERTY_NAMES)),
+		};
+	}
+
+	// Links to other pages in the export use the new output paths
+	#rewriteLinks(markdown, rawEntry) {
+		return markdown.replace(/(?<!!)\[([^\]]*)\]\(([^)\s]+\.md)\)/g, (match, text, href) => {
+			if(this.isValidHttpUrl(href)) {
+				return match;
+			}
+
+			let target = path.posix.normalize(path.posix.join(path.posix.dirname(rawEntry.relativePath), decodeURIComponent(href)));
+			return `[${text}](/${Notion.getOutputPath(target)}/)`;
+		});
+	}
+
+	cleanEntry(rawEntry) {
+		let lines = rawEntry.markdown.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+		// First line is the page title
+		let title = Notion.stripNotionId(path.posix.basename(rawEntry.relativePath, ".md"));
+		if(lines[0]?.startsWith("# ")) {
+			title = lines.shift().slice(2).trim();
+		}
+
+		let metadata = {};
+		let properties = rawEntry.properties;
+		if(properties) {
+			// First column is the page title
+			let [, ...keys] = Object.keys(properties);
+			metadata.properties = {};
+			for(let key of keys) {
+				if(properties[key]) {
+					metadata.properties[key] = properties[key];
+				}
+			}
+
+			// Database row properties are repeated at the top of the page
+			while(lines.length && (!lines[0].trim() || keys.some(key => lines[0].startsWith(`${key}: `)))) {
+				lines.shift();
+			}
+		}
+
+		let tags = this.#getProperty(properties, TAG_PROPERTY_NAMES);
+		let { created } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Notion.TYPE,
+			title,
+			authors: [],
+			date: created,
+			content: this.#rewriteLinks(lines.join("\n"), rawEntry).trim(),
+			// Markdown is kept as-is (no HTML round trip)
+			contentType: "markdown",
+			metadata,
+		};
+
+		if(tags) {
+			cleanEntry.tags = tags.split(",").map(tag => tag.trim()).filter(Boolean);
+		}
+
+		// Local file paths aren’t used as the URL (used for output paths and relative references)
+		Object.defineProperty(cleanEntry, "sourceFilePath", {
+			enumerable: false,
+			value: rawEntry.filePath,
+		});
+
+		return cleanEntry;
+	}
+}
+
+export { Notion };
@@ -30,7 +30,9 @@ class Rss extends DataSource {
 	}
 
 	getUniqueIdFromEntry(entry) {
-		return `${DataSource.UUID_PREFIX}::${Rss.TYPE}::${entry.guid["#text"]}`;
+		// `guid` is an object when it has attributes (e.g. isPermaLink)
+		let guid = entry.guid?.["#text"] ?? entry.guid ?? entry.link;
+		return `${DataSource.UUID_PREFIX}::${Rss.TYPE}::${guid}`;
 	}
 
 	getHtmlFromMediaEntry(mediaSources) {
@@ -57,6 +59,55 @@ class Rss extends DataSource {
 		}).join("\n");
 	}
 
+	static isPodcastFeed(data) {
+		return Boolean(data?.rss?.["@_xmlns:itunes"]);
+	}
+
+	// Podcast episodes: `<enclosure>`, `itunes:*` and `podcast:*` elements
+	// https://podcasters.apple.com/support/823-podcast-requirements
+	// https://podcastindex.org/namespace/1.0#transcript
+	getPodcastMetadata(rawEntry, data) {
+		let media = {};
+		let podcast = {};
+
+		// Only one enclosure per item is allowed
+		let enclosure = Array.isArray(rawEntry.enclosure) ? rawEntry.enclosure[0] : rawEntry.enclosure;
+
+		// Other feeds use enclosures for images and attachments
+		let isAudio = String(enclosure?.["@_type"] || "").toLowerCase().startsWith("audio/");
+		if(!isAudio && !Rss.isPodcastFeed(data)) {
+			return { media, podcast };
+		}
+
+		if(enclosure?.["@_url"]) {
+			media.enclosure = enclosure["@_url"];
+			podcast.length = enclosure["@_length"];
+			podcast.type = enclosure["@_type"];
+		}
+
+		if(rawEntry["itunes:image"]?.["@_href"]) {
+			media.episodeImage = rawEntry["itunes:image"]["@_href"];
+		}
+
+		for(let name of ["duration", "episode", "season"]) {
+			if(rawEntry[`itunes:${name}`] !== undefined) {
+				podcast[name] = rawEntry[`itunes:${name}`];
+			}
+		}
+
+		let transcripts = rawEntry["podcast:transcript"];
+		if(transcripts) {
+			podcast.transcripts = (Array.isArray(transcripts) ? transcripts : [transcripts]).map(transcript => {
+				return {
+					url: transcript["@_url"],
+					type: transcript["@_type"],
+				};
+			});
+		}
+
+		return { media, podcast };
+	}
+
 	getRawEntryDates(rawEntry) {
 		return {
 			created: this.toDateObj(this.toIsoDate(rawEntry.pubDate)),
@@ -88,7 +139,7 @@ class Rss extends DataSource {
 
 		let { created } = this.getRawEntryDates(rawEntry);
 
-		return {
+		let cleanEntry = {
 			uuid: this.getUniqueIdFromEntry(rawEntry),
 			type: Rss.TYPE,
 			title: rawEntry.title || this.toReadableDate(rawEntry.pubDate),
@@ -98,7 +149,21 @@ class Rss extends DataSource {
 			// dateUpdated: rawEntry.updated,
 			content,
 			// contentType: "", // unknown
+		};
+
+		// Audio and episode art are downloaded with `metadata.media`
+		let { media, podcast } = this.getPodcastMetadata(rawEntry, data);
+		if(Object.keys(media).length || Object.keys(podcast).length) {
+			cleanEntry.metadata = {
+				podcast,
+			};
+
+			if(Object.keys(media).length) {
+				cleanEntry.metadata.media = media;
+			}
 		}
+
+		return cleanEntry;
 	}
 }
 
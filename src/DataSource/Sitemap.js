@@ -0,0 +1,119 @@
+import { DataSource } from "../DataSource.js";
+import { HtmlExtractor } from "../HtmlExtractor.js";
+
+// Imports every page listed in a sitemap.xml (or sitemap index) file
+class Sitemap extends DataSource {
+	static TYPE = "sitemap";
+	static TYPE_FRIENDLY = "Sitemap";
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(value) {
+			return [value];
+		}
+		return [];
+	}
+
+	constructor(url, options = {}) {
+		super();
+		this.url = url;
+		// CSS selector for the main content of each page
+		this.selector = options.selector;
+	}
+
+	getType() {
+		return "xml";
+	}
+
+	getUrl() {
+		return this.url;
+	}
+
+	// Sitemap index files are flattened into a single list of URLs
+	async getData(url, type, showErrors) {
+		let data = await super.getData(url, type, showErrors);
+		if(type !== "xml" || !data?.sitemapindex) {
+			return data;
+		}
+
+		let urls = [];
+		for(let sitemap of Sitemap.toArray(data.sitemapindex.sitemap)) {
+			let nested = await this.getData(sitemap.loc, type, showErrors);
+			urls.push(...Sitemap.toArray(nested?.urlset?.url));
+		}
+
+		return {
+			urlset: {
+				url: urls,
+			}
+		};
+	}
+
+	getEntriesFromData(data) {
+		return Sitemap.toArray(data?.urlset?.url).filter(entry => entry?.loc);
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${Sitemap.TYPE}::${entry.loc}`;
+	}
+
+	// Page metadata and `lastmod` dates aren’t always valid (Invalid Date is truthy)
+	toDateObj(dateVal) {
+		let date = super.toDateObj(dateVal);
+		if(date && !isNaN(date.getTime())) {
+			return date;
+		}
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.lastmod),
+			updated: this.toDateObj(rawEntry.lastmod),
+		};
+	}
+
+	async cleanEntry(rawEntry) {
+		let html;
+		try {
+			html = await this.getData(rawEntry.loc, "text", true);
+		} catch(e) {
+			// Fetch logs the error upstream, skip this page
+			return;
+		}
+
+		let root = HtmlExtractor.parse(html);
+		let pageMetadata = HtmlExtractor.getMetadata(root);
+
+		let metadata = {};
+		if(pageMetadata.description) {
+			metadata.description = pageMetadata.description;
+		}
+		if(pageMetadata.image) {
+			metadata.media = {
+				opengraphImage: (new URL(pageMetadata.image, rawEntry.loc)).toString(),
+			};
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		return {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Sitemap.TYPE,
+			title: pageMetadata.title,
+			url: rawEntry.loc,
+			authors: pageMetadata.authors,
+			date: this.toDateObj(pageMetadata.published) || created,
+			dateUpdated: this.toDateObj(pageMetadata.modified) || updated,
+			content: HtmlExtractor.getContent(root, {
+				selector: this.selector,
+				baseUrl: rawEntry.loc,
+			}) || "",
+			contentType: "html",
+			metadata,
+		};
+	}
+}
+
+export { Sitemap };
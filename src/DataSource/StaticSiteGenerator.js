@@ -0,0 +1,456 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import fs from "graceful-fs";
+import yaml from "js-yaml";
+import { parse as parseToml } from "smol-toml";
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+
+const CONTENT_EXTENSIONS = [".md", ".markdown", ".html"];
+
+// Jekyll post filenames, e.g. 2020-01-02-my-post.md
+const JEKYLL_POST_FILENAME = /^(\d{4})-(\d{2})-(\d{2})-(.+)$/;
+
+const SITE_CONFIG_FILES = {
+	hugo: ["hugo.toml", "hugo.yaml", "hugo.yml", "config.toml", "config.yaml", "config.yml"],
+	jekyll: ["_config.yml", "_config.yaml"],
+};
+
+// Local development server defaults, used when the site config has no URL
+const DEFAULT_SITE_URLS = {
+	hugo: "http://localhost:1313/",
+	jekyll: "http://localhost:4000/",
+};
+
+// Reads a Hugo `content` folder or a Jekyll `_posts` folder (markdown with front matter)
+class StaticSiteGenerator extends DataSource {
+	static TYPE = "ssg";
+	static TYPE_FRIENDLY = "Hugo/Jekyll";
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(value === undefined || value === null || value === "") {
+			return [];
+		}
+		return [value];
+	}
+
+	// YAML (---), TOML (+++) or JSON ({}) front matter
+	static parseFrontMatter(content = "") {
+		content = content.replace(/^\uFEFF/, "");
+
+		let match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+		if(match) {
+			return {
+				data: yaml.load(match[1]) || {},
+				body: content.slice(match[0].length),
+			};
+		}
+
+		match = content.match(/^\+\+\+\r?\n([\s\S]*?)\r?\n\+\+\+\r?\n?/);
+		if(match) {
+			return {
+				data: { ...parseToml(match[1]) },
+				body: content.slice(match[0].length),
+			};
+		}
+
+		match = content.match(/^(\{\r?\n[\s\S]*?\r?\n\})\r?\n/);
+		if(match) {
+			try {
+				return {
+					data: JSON.parse(match[1]),
+					body: content.slice(match[0].length),
+				};
+			} catch(e) {
+				// Not front matter
+			}
+		}
+
+		return {
+			data: {},
+			body: content,
+		};
+	}
+
+	// e.g. `src="/image.png" alt="An image" 123` (shortcode and Liquid tag parameters)
+	static parseParams(str = "") {
+		let named = {};
+		let positional = [];
+		for(let [, key, ...values] of str.matchAll(/(?:([\w-]+)\s*=\s*)?(?:"([^"]*)"|'([^']*)'|`([^`]*)`|([^\s"'`]+))/g)) {
+			let value = values.find(entry => entry !== undefined);
+			if(key) {
+				named[key] = value;
+			} else {
+				positional.push(value);
+			}
+		}
+		return { named, positional };
+	}
+
+	static getFigureHtml({ src, alt, caption, link }) {
+		let img = `<img src="${entities.escapeAttribute(src || "")}" alt="${entities.escapeAttribute(alt || caption || "")}">`;
+		if(link) {
+			img = `<a href="${entities.escapeAttribute(link)}">${img}</a>`;
+		}
+
+		return `<figure>${img}${caption ? `<figcaption>${caption}</figcaption>` : ""}</figure>`;
+	}
+
+	static getCodeBlock(content, language) {
+		return `\`\`\`${language || ""}\n${content.replace(/^\r?\n/, "").replace(/\r?\n$/, "")}\n\`\`\``;
+	}
+
+	// Common Hugo shortcodes, unknown shortcodes are left as-is
+	static convertHugoShortcodes(content) {
+		// Paired shortcodes
+		content = content.replace(/\{\{[<%]\s*highlight\s+([^\s>%]+)[^>%]*[>%]\}\}([\s\S]*?)\{\{[<%]\s*\/highlight\s*[>%]\}\}/g, (match, language, code) => {
+			return this.getCodeBlock(code, language);
+		});
+
+		return content.replace(/\{\{[<%]\s*([\w-]+)([\s\S]*?)\s*[>%]\}\}/g, (match, name, rawParams) => {
+			let { named, positional } = this.parseParams(rawParams);
+
+			if(name === "figure") {
+				return this.getFigureHtml({
+					src: named.src,
+					alt: named.alt,
+					caption: named.caption || named.title,
+					link: named.link,
+				});
+			}
+			if(name === "youtube") {
+				let id = encodeURIComponent(named.id || positional[0] || "");
+				return `<iframe src="https://www.youtube-nocookie.com/embed/${entities.escapeAttribute(id)}" title="${entities.escapeAttribute(named.title || "YouTube video")}" width="560" height="315" frameborder="0" allowfullscreen loading="lazy"></iframe>`;
+			}
+			if(name === "vimeo") {
+				let id = encodeURIComponent(named.id || positional[0] || "");
+				return `<iframe src="https://player.vimeo.com/video/${entities.escapeAttribute(id)}" title="${entities.escapeAttribute(named.title || "Vimeo video")}" width="640" height="360" frameborder="0" allowfullscreen loading="lazy"></iframe>`;
+			}
+			if(name === "gist") {
+				let [username = "", id = "", file] = positional.map(value => encodeURIComponent(value));
+				return `<script src="${entities.escapeAttribute(`https://gist.github.com/${username}/${id}.js${file ? `?file=${file}` : ""}`)}"></script>`;
+			}
+			if(name === "tweet" || name === "x") {
+				// `{{< tweet user="…" id="…" >}}`, `{{< tweet user id >}}` or (older Hugo versions) `{{< tweet id >}}`
+				let user = named.user || (positional.length > 1 ? positional[0] : "i");
+				let id = named.id || positional[positional.length > 1 ? 1 : 0] || "";
+				let url = `https://twitter.com/${encodeURIComponent(user)}/status/${encodeURIComponent(id)}`;
+				return `<blockquote><p><a href="${entities.escapeAttribute(url)}">${entities.escapeText(url)}</a></p></blockquote>`;
+			}
+			if(name === "ref" || name === "relref") {
+				let target = positional[0] || named.path || "";
+				return target.replace(/(^|\/)_?index\.(md|markdown|html)$/, "$1").replace(/\.(md|markdown|html)$/, "/");
+			}
+
+			return match;
+		});
+	}
+
+	// Common Jekyll Liquid tags, unknown tags are left as-is
+	static convertJekyllTags(content) {
+		content = content.replace(/\{%-?\s*highlight\s+(\w+)[^%]*-?%\}([\s\S]*?)\{%-?\s*endhighlight\s*-?%\}/g, (match, language, code) => {
+			return this.getCodeBlock(code, language);
+		});
+
+		content = content.replace(/\{%-?\s*raw\s*-?%\}([\s\S]*?)\{%-?\s*endraw\s*-?%\}/g, "$1");
+
+		content = content.replace(/\{\{\s*site\.(?:baseurl|url)\s*\}\}/g, "");
+
+		return content.replace(/\{%-?\s*(\w+)\s+([\s\S]*?)\s*-?%\}/g, (match, name, rawParams) => {
+			let { named, positional } = this.parseParams(rawParams);
+
+			// e.g. {% include image.html url="/image.png" description="An image" %}
+			if(name === "include" && /^(image|figure|img)/.test(positional[0] || "")) {
+				return this.getFigureHtml({
+					src: named.url || named.src || named.file || named.path || named.image,
+					alt: named.alt,
+					caption: named.caption || named.description || named.title,
+					link: named.link,
+				});
+			}
+			if(name === "post_url") {
+				let [, year, month, day, slug] = (positional[0] || "").split("/").pop().match(JEKYLL_POST_FILENAME) || [];
+				if(slug) {
+					return `/${year}/${month}/${day}/${slug}/`;
+				}
+			}
+			if(name === "link") {
+				return "/" + (positional[0] || "").replace(/^_posts\//, "").replace(/\.(md|markdown)$/, "/");
+			}
+
+			return match;
+		});
+	}
+
+	static FLAVORS = ["hugo", "jekyll"];
+
+	// `flavor` is `hugo` or `jekyll` (detected from the folder layout when not set)
+	constructor(target, options = {}) {
+		super();
+		this.target = target;
+		this.siteUrl = options.siteUrl;
+
+		if(options.flavor && !StaticSiteGenerator.FLAVORS.includes(options.flavor)) {
+			throw new Error(`Invalid static site generator: ${options.flavor} (expected one of ${StaticSiteGenerator.FLAVORS.join(", ")})`);
+		}
+		this.flavor = options.flavor;
+	}
+
+	#detectFlavor(dir) {
+		if(fs.existsSync(path.join(dir, "_posts")) || path.basename(path.resolve(dir)) === "_posts") {
+			return "jekyll";
+		}
+		return "hugo";
+	}
+
+	// Finds the content folder and the site root (for configuration and static files)
+	#resolveFolders() {
+		let dir = this.getLocalDirectory(this.target);
+
+		if(!this.flavor) {
+			this.flavor = this.#detectFlavor(dir);
+		}
+
+		// A folder of content files, e.g. Hugo’s `content` or Jekyll’s `_posts`
+		let contentDirs = [dir];
+		let siteRoot = path.dirname(dir);
+
+		if(this.flavor === "jekyll") {
+			if(fs.existsSync(path.join(dir, "_posts"))) {
+				siteRoot = dir;
+				contentDirs = [path.join(dir, "_posts"), path.join(dir, "_drafts")];
+			} else if(path.basename(path.resolve(dir)) === "_posts") {
+				contentDirs = [dir, path.join(siteRoot, "_drafts")];
+			}
+		} else if(fs.existsSync(path.join(dir, "content"))) {
+			siteRoot = dir;
+			contentDirs = [path.join(dir, "content")];
+		}
+
+		this.siteRoot = path.resolve(siteRoot);
+
+		return contentDirs.filter(contentDir => fs.existsSync(contentDir));
+	}
+
+	#getConfiguredSiteUrl() {
+		for(let filename of SITE_CONFIG_FILES[this.flavor]) {
+			let configPath = path.join(this.siteRoot, filename);
+			if(!fs.existsSync(configPath)) {
+				continue;
+			}
+
+			let content = fs.readFileSync(configPath, "utf8");
+			let config = filename.endsWith(".toml") ? parseToml(content) : (yaml.load(content) || {});
+			if(this.flavor === "jekyll" && config.url) {
+				return `${config.url}${config.baseurl || ""}/`;
+			}
+			if(config.baseURL || config.baseurl) {
+				return config.baseURL || config.baseurl;
+			}
+		}
+	}
+
+	async getData() {
+		let contentDirs = this.#resolveFolders();
+		if(!this.siteUrl) {
+			this.siteUrl = this.#getConfiguredSiteUrl() || DEFAULT_SITE_URLS[this.flavor];
+		}
+
+		let entries = [];
+		for(let contentDir of contentDirs) {
+			let isDraftsFolder = path.basename(contentDir) === "_drafts";
+			for(let relativePath of LocalFiles.getFiles(contentDir)) {
+				if(!CONTENT_EXTENSIONS.includes(path.extname(relativePath).toLowerCase())) {
+					continue;
+				}
+
+				let filePath = path.join(contentDir, relativePath);
+				let { data, body } = StaticSiteGenerator.parseFrontMatter(await this.getLocalData(filePath));
+				entries.push({
+					relativePath,
+					filePath: path.resolve(filePath),
+					isDraftsFolder,
+					data,
+					body,
+				});
+			}
+		}
+
+		return entries;
+	}
+
+	#getPathname(rawEntry) {
+		let { data, relativePath } = rawEntry;
+		if(data.permalink || data.url) {
+			return data.permalink || data.url;
+		}
+
+		let { dir, name } = path.posix.parse(relativePath);
+
+		if(this.flavor === "jekyll") {
+			// Jekyll’s default `date` permalink style (without categories)
+			let [, year, month, day, slug] = name.match(JEKYLL_POST_FILENAME) || [];
+			if(!slug) {
+				slug = name;
+
+				let date = this.#getDate(rawEntry);
+				if(date) {
+					[year, month, day] = date.toISOString().slice(0, 10).split("-");
+				}
+			}
+			if(year) {
+				return `/${year}/${month}/${day}/${data.slug || slug}/`;
+			}
+			return `/${data.slug || slug}/`;
+		}
+
+		// Hugo page bundles and section pages use the folder name
+		if(name === "index" || name === "_index") {
+			return `/${dir}/`;
+		}
+
+		return `/${dir ? `${dir}/` : ""}${data.slug || name}/`;
+	}
+
+	#getDate(rawEntry) {
+		let { data, relativePath } = rawEntry;
+		let date = data.date || data.publishDate || data.pubDate;
+		if(date) {
+			return new Date(date);
+		}
+
+		let [, year, month, day] = path.posix.basename(relativePath).match(JEKYLL_POST_FILENAME) || [];
+		if(year) {
+			return new Date(`${year}-${month}-${day}T00:00:00Z`);
+		}
+	}
+
+	getUrlFromEntry(entry) {
+		return (new URL(this.#getPathname(entry).replace(/^\//, ""), this.siteUrl)).toString();
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${StaticSiteGenerator.TYPE}::${entry.relativePath}`;
+	}
+
+	// Relative references are resolved against the local file system (root-relative to Hugo’s `static` folder)
+	resolveAssetUrl(assetUrl, entry) {
+		if(assetUrl.startsWith("//")) {
+			return `https:${assetUrl}`;
+		}
+
+		try {
+			// Absolute URLs (https:, data:, etc) are unchanged
+			return (new URL(assetUrl)).toString();
+		} catch(e) {}
+
+		let cleanPath = decodeURIComponent(assetUrl.split(/[?#]/)[0]);
+		if(cleanPath.startsWith("/")) {
+			let staticRoot = this.flavor === "hugo" ? path.join(this.siteRoot, "static") : this.siteRoot;
+			return pathToFileURL(path.join(staticRoot, cleanPath)).toString();
+		}
+
+		if(entry.sourceFilePath) {
+			return pathToFileURL(path.join(path.dirname(entry.sourceFilePath), cleanPath)).toString();
+		}
+
+		return assetUrl;
+	}
+
+	getLocalAssetRoots() {
+		return [this.siteRoot];
+	}
+
+	getRawEntryDates(rawEntry) {
+		let { data } = rawEntry;
+		let updated = data.lastmod || data.last_modified_at || data.modified || data.updated;
+		return {
+			created: this.#getDate(rawEntry),
+			updated: updated ? new Date(updated) : undefined,
+		};
+	}
+
+	#isDraft(rawEntry) {
+		let { data } = rawEntry;
+		return rawEntry.isDraftsFolder || data.draft === true || data.published === false;
+	}
+
+	cleanEntry(rawEntry) {
+		let { data } = rawEntry;
+
+		let metadata = {};
+
+		let image = data.image || data.featured_image || data.featuredImage || StaticSiteGenerator.toArray(data.images)[0];
+		if(typeof image === "string") {
+			metadata.media = {
+				featuredImage: image,
+			};
+		}
+
+		if(data.description || data.summary || data.excerpt) {
+			metadata.description = data.description || data.summary || data.excerpt;
+		}
+
+		let tags = StaticSiteGenerator.toArray(data.tags);
+		if(tags.length) {
+			metadata.tags = tags.map(String);
+		}
+
+		let categories = StaticSiteGenerator.toArray(data.categories || data.category);
+		if(categories.length) {
+			metadata.categories = categories.map(String);
+		}
+
+		// Hugo `aliases` and jekyll-redirect-from `redirect_from`
+		let aliases = StaticSiteGenerator.toArray(data.aliases || data.redirect_from);
+		if(aliases.length) {
+			metadata.aliases = aliases;
+		}
+
+		let isHtml = path.extname(rawEntry.relativePath).toLowerCase() === ".html";
+		let content = StaticSiteGenerator.convertJekyllTags(StaticSiteGenerator.convertHugoShortcodes(rawEntry.body));
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let authors = StaticSiteGenerator.toArray(data.authors || data.author).map(author => {
+			if(typeof author === "string") {
+				return { name: author };
+			}
+			return author;
+		});
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: StaticSiteGenerator.TYPE,
+			title: data.title ? String(data.title) : path.posix.parse(rawEntry.relativePath).name,
+			url: this.getUrlFromEntry(rawEntry),
+			authors,
+			date: created,
+			dateUpdated: updated,
+			content: content.trim(),
+			// Markdown is kept as-is (no HTML round trip)
+			contentType: isHtml ? "html" : "markdown",
+			status: this.cleanStatus(this.#isDraft(rawEntry) ? "draft" : "publish"),
+			metadata,
+		};
+
+		if(metadata.tags) {
+			cleanEntry.tags = metadata.tags;
+		}
+
+		// Used to resolve relative asset references
+		Object.defineProperty(cleanEntry, "sourceFilePath", {
+			enumerable: false,
+			value: rawEntry.filePath,
+		});
+
+		return cleanEntry;
+	}
+}
+
+export { StaticSiteGenerator };
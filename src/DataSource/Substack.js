@@ -0,0 +1,139 @@
+import path from "node:path";
+import fs from "graceful-fs";
+import { parse as parseCsv } from "csv-parse/sync";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+import { HtmlTree } from "../HtmlTree.js";
+import { Logger } from "../Logger.js";
+
+// Subscribe/share buttons and other Substack specific UI
+const CHROME_SELECTORS = [
+	".subscription-widget-wrap",
+	".subscription-widget-wrap-editor",
+	".subscribe-widget",
+	".captioned-button-wrap",
+	".button-wrapper",
+	".share-dialog",
+	".image-link-expand",
+];
+
+// Paid subscriber only posts
+const PAYWALLED_AUDIENCES = ["only_paid", "founding"];
+
+// Reads a Substack export (Settings → Exports): a `posts.csv` file and a `posts` folder of HTML files (folder or .zip)
+class Substack extends DataSource {
+	static TYPE = "substack";
+	static TYPE_FRIENDLY = "Substack";
+	// Used when there is no `siteUrl` option (post URLs redirect to the publication)
+	static DEFAULT_SITE_URL = "https://substack.com/";
+
+	static cleanHtml(html = "") {
+		let root = HtmlTree.parse(html);
+
+		for(let node of HtmlTree.querySelectorAll(root, CHROME_SELECTORS.join(", "))) {
+			HtmlTree.remove(node);
+		}
+
+		// Image links open a lightbox on Substack
+		for(let link of HtmlTree.querySelectorAll(root, "a.image-link")) {
+			HtmlTree.unwrap(link);
+		}
+
+		return HtmlTree.render(root);
+	}
+
+	static getFilePath(url) {
+		let {pathname} = new URL(url);
+		return pathname.split("/").filter(Boolean).pop();
+	}
+
+	constructor(target, options = {}) {
+		super();
+		this.target = target;
+		// The export doesn’t include the publication URL
+		this.siteUrl = options.siteUrl;
+	}
+
+	async getData() {
+		if(!this.siteUrl) {
+			this.siteUrl = Substack.DEFAULT_SITE_URL;
+
+			if(this.isVerbose) {
+				Logger.warning(`Substack exports don’t include the publication URL, using ${Substack.DEFAULT_SITE_URL} (use --siteurl to change).`);
+			}
+		}
+
+		let dir = this.getLocalDirectory(this.target);
+		let csvPath = LocalFiles.findFile(dir, "posts.csv");
+		if(!csvPath) {
+			throw new Error(`Could not find posts.csv in Substack export: ${this.target}`);
+		}
+
+		let csvContent = await this.getLocalData(path.join(dir, csvPath));
+		let rows = parseCsv(csvContent, {
+			columns: true,
+			skip_empty_lines: true,
+		});
+
+		let postsDir = path.join(dir, path.dirname(csvPath), "posts");
+		return rows.map(row => {
+			let htmlPath = path.join(postsDir, `${row.post_id}.html`);
+			if(fs.existsSync(htmlPath)) {
+				row.html = fs.readFileSync(htmlPath, "utf8");
+			}
+			return row;
+		});
+	}
+
+	// e.g. 123456.my-post-slug
+	#getSlug(rawEntry) {
+		let [, ...slug] = rawEntry.post_id.split(".");
+		return slug.join(".") || rawEntry.post_id;
+	}
+
+	getUrlFromEntry(entry) {
+		return (new URL(`p/${this.#getSlug(entry)}`, this.siteUrl)).toString();
+	}
+
+	getUniqueIdFromEntry(entry) {
+		let [id] = entry.post_id.split(".");
+		return `${DataSource.UUID_PREFIX}::${Substack.TYPE}::${id}`;
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.toDateObj(rawEntry.post_date),
+		};
+	}
+
+	cleanEntry(rawEntry) {
+		let metadata = {};
+		if(rawEntry.subtitle) {
+			metadata.subtitle = rawEntry.subtitle;
+		}
+		if(rawEntry.audience) {
+			metadata.audience = rawEntry.audience;
+		}
+
+		// Paywalled posts are imported as drafts
+		let isPublic = rawEntry.is_published === "true" && !PAYWALLED_AUDIENCES.includes(rawEntry.audience);
+
+		let { created } = this.getRawEntryDates(rawEntry);
+
+		return {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: Substack.TYPE,
+			title: rawEntry.title || this.#getSlug(rawEntry),
+			url: this.getUrlFromEntry(rawEntry),
+			authors: [],
+			date: created,
+			content: Substack.cleanHtml(rawEntry.html),
+			contentType: "html",
+			status: this.cleanStatus(isPublic ? "publish" : "draft"),
+			metadata,
+		};
+	}
+}
+
+export { Substack };
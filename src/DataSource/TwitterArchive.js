@@ -0,0 +1,336 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import fs from "graceful-fs";
+import * as entities from "entities";
+
+import { DataSource } from "../DataSource.js";
+import { LocalFiles } from "../LocalFiles.js";
+
+// e.g. `data/tweets.js`, `data/tweet.js` or `data/tweets-part1.js`
+const TWEETS_FILENAME = /(^|\/)tweets?(-part\d+)?\.js$/;
+// Older archives use `tweet_media`
+const MEDIA_FOLDERS = ["tweets_media", "tweet_media"];
+
+// Reads a Twitter/X archive (Settings → Download an archive of your data), folder or .zip
+class TwitterArchive extends DataSource {
+	static TYPE = "twitter";
+	static TYPE_FRIENDLY = "Twitter/X";
+	static POST_TYPES = ["retweets", "replies"];
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(typeof value === "string") {
+			return value.split(",").map(entry => entry.trim()).filter(Boolean);
+		}
+		return [];
+	}
+
+	// Archive files are JavaScript, e.g. `window.YTD.tweets.part0 = [ … ]`
+	static parseArchiveFile(content = "") {
+		return JSON.parse(content.slice(content.indexOf("=") + 1));
+	}
+
+	// Same format as `BlueskyUser`: username/id
+	static getFilePath(url) {
+		let {pathname} = new URL(url);
+		let [empty, username, status, id] = pathname.split("/");
+		return path.join(username, id);
+	}
+
+	// Local media files, by remote URL
+	#localMedia = new Map();
+	#root;
+
+	// `excludePostTypes`: retweets, replies (to other accounts)
+	constructor(target, options = {}) {
+		super();
+		this.target = target;
+
+		let exclude = TwitterArchive.toArray(options.excludePostTypes);
+		for(let postType of exclude) {
+			if(!TwitterArchive.POST_TYPES.includes(postType)) {
+				throw new Error(`Invalid Twitter post type: ${postType} (expected one of ${TwitterArchive.POST_TYPES.join(", ")})`);
+			}
+		}
+
+		this.includeRetweets = !exclude.includes("retweets");
+		this.includeReplies = !exclude.includes("replies");
+		// Merge a thread of replies to your own tweets into the first tweet
+		this.mergeThreads = Boolean(options.threads);
+	}
+
+	async #readArchiveFile(dir, relativePath) {
+		let content = await this.getLocalData(path.join(dir, relativePath));
+		return TwitterArchive.parseArchiveFile(content);
+	}
+
+	async #getAccount(dir) {
+		let accountPath = LocalFiles.findFile(dir, "account.js");
+		if(!accountPath) {
+			return {};
+		}
+
+		let [entry] = await this.#readArchiveFile(dir, accountPath);
+		return entry?.account || {};
+	}
+
+	#isRetweet(tweet) {
+		return tweet.full_text?.startsWith("RT @");
+	}
+
+	#isSelfReply(tweet) {
+		return Boolean(tweet.in_reply_to_status_id_str && this.account?.accountId) && tweet.in_reply_to_user_id_str === this.account.accountId;
+	}
+
+	#isReply(tweet) {
+		return Boolean(tweet.in_reply_to_status_id_str) && !this.#isSelfReply(tweet);
+	}
+
+	// e.g. `https://pbs.twimg.com/media/AbCd.jpg` is saved as `tweets_media/<tweet id>-AbCd.jpg`
+	#findLocalMedia(dir, mediaDir, tweet) {
+		let media = tweet.extended_entities?.media || tweet.entities?.media || [];
+		for(let item of media) {
+			for(let url of [item.media_url_https, this.#getVideoUrl(item)]) {
+				if(!url) {
+					continue;
+				}
+
+				let filePath = path.join(dir, mediaDir, `${tweet.id_str}-${path.posix.basename(new URL(url).pathname)}`);
+				if(fs.existsSync(filePath)) {
+					this.#localMedia.set(url, pathToFileURL(path.resolve(filePath)).toString());
+				}
+			}
+		}
+	}
+
+	// Highest bitrate mp4
+	#getVideoUrl(media) {
+		let variants = (media.video_info?.variants || []).filter(variant => variant.content_type === "video/mp4");
+		return variants.sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0]?.url;
+	}
+
+	async getData() {
+		let dir = this.getLocalDirectory(this.target);
+		this.#root = path.resolve(dir);
+		let files = LocalFiles.getFiles(dir);
+
+		let tweetFiles = files.filter(filePath => TWEETS_FILENAME.test(filePath));
+		if(!tweetFiles.length) {
+			throw new Error(`Could not find tweets.js in Twitter archive: ${this.target}`);
+		}
+
+		this.account = await this.#getAccount(dir);
+
+		let tweets = [];
+		for(let tweetFile of tweetFiles) {
+			for(let entry of await this.#readArchiveFile(dir, tweetFile)) {
+				tweets.push(entry.tweet || entry);
+			}
+		}
+
+		let mediaDir = path.posix.join(path.posix.dirname(tweetFiles[0]), MEDIA_FOLDERS.find(name => files.some(filePath => filePath.includes(`${name}/`))) || MEDIA_FOLDERS[0]);
+		for(let tweet of tweets) {
+			this.#findLocalMedia(dir, mediaDir, tweet);
+		}
+
+		tweets = tweets.filter(tweet => {
+			if(this.#isRetweet(tweet)) {
+				return this.includeRetweets;
+			}
+			if(this.#isReply(tweet)) {
+				return this.includeReplies;
+			}
+			return true;
+		});
+
+		if(this.mergeThreads) {
+			return this.#mergeThreads(tweets);
+		}
+
+		return tweets;
+	}
+
+	// Self-replies are added (oldest first) to the thread’s first tweet
+	#mergeThreads(tweets) {
+		let byId = new Map(tweets.map(tweet => [tweet.id_str, tweet]));
+
+		let replies = tweets.filter(tweet => this.#isSelfReply(tweet) && byId.has(tweet.in_reply_to_status_id_str));
+		for(let reply of replies) {
+			let root = reply;
+			while(this.#isSelfReply(root) && byId.has(root.in_reply_to_status_id_str)) {
+				root = byId.get(root.in_reply_to_status_id_str);
+			}
+
+			root.thread = root.thread || [];
+			root.thread.push(reply);
+		}
+
+		for(let tweet of tweets) {
+			tweet.thread?.sort((a, b) => this.toDateObj(a.created_at) - this.toDateObj(b.created_at));
+		}
+
+		return tweets.filter(tweet => !replies.includes(tweet));
+	}
+
+	getUrlFromEntry(entry) {
+		return `https://x.com/${this.account?.username || "i"}/status/${entry.id_str}`;
+	}
+
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${TwitterArchive.TYPE}::${entry.id_str}`;
+	}
+
+	// Media files from the archive are used instead of downloading
+	resolveAssetUrl(assetUrl) {
+		return this.#localMedia.get(assetUrl) || assetUrl;
+	}
+
+	getLocalAssetRoots() {
+		return [this.#root];
+	}
+
+	getRawEntryDates(rawEntry) {
+		let last = rawEntry.thread?.[rawEntry.thread.length - 1];
+		return {
+			created: this.toDateObj(rawEntry.created_at),
+			updated: last ? this.toDateObj(last.created_at) : undefined,
+		};
+	}
+
+	// Code point offsets of an entity in the text, `indices` are strings in archives
+	static #getEntityRange(characters, entity, expected) {
+		let matchesAt = start => characters.slice(start, start + expected.length).join("").toLowerCase() === expected.toLowerCase();
+
+		let [start] = (entity.indices || []).map(Number);
+		if(Number.isInteger(start) && matchesAt(start)) {
+			return [start, start + expected.length];
+		}
+
+		// Offsets don’t match the text, use the closest occurrence
+		let closest;
+		for(let index = 0; index <= characters.length - expected.length; index++) {
+			if(matchesAt(index) && (closest === undefined || Math.abs(index - (start || 0)) < Math.abs(closest - (start || 0)))) {
+				closest = index;
+			}
+		}
+		if(closest !== undefined) {
+			return [closest, closest + expected.length];
+		}
+	}
+
+	// Mentions and t.co links are replaced in one pass (so a mention can’t match inside an expanded link)
+	#getTextHtml(tweet, media) {
+		// `full_text` is HTML escaped
+		let characters = [...entities.decodeHTML(tweet.full_text || "")];
+
+		let replacements = [];
+		let addReplacement = (entity, expected, getHtml) => {
+			let range = TwitterArchive.#getEntityRange(characters, entity, expected);
+			if(range) {
+				let [start, end] = range;
+				replacements.push({ start, end, html: getHtml(characters.slice(start, end).join("")) });
+			}
+		};
+
+		// t.co links are expanded
+		for(let url of tweet.entities?.urls || []) {
+			addReplacement(url, url.url, () => `<a href="${entities.escapeAttribute(url.expanded_url)}">${entities.escapeText(url.display_url || url.expanded_url)}</a>`);
+		}
+
+		for(let mention of tweet.entities?.user_mentions || []) {
+			addReplacement(mention, `@${mention.screen_name}`, match => `<a href="https://x.com/${mention.screen_name}">${entities.escapeText(match)}</a>`);
+		}
+
+		// Media links are replaced by the media itself
+		for(let item of media) {
+			addReplacement(item, item.url, () => "");
+		}
+
+		let html = "";
+		let position = 0;
+		for(let { start, end, html: replacement } of replacements.sort((a, b) => a.start - b.start)) {
+			// Media items share the same link
+			if(start < position) {
+				continue;
+			}
+			html += entities.escapeText(characters.slice(position, start).join("")) + replacement;
+			position = end;
+		}
+		html += entities.escapeText(characters.slice(position).join(""));
+
+		return html;
+	}
+
+	#getTweetHtml(tweet) {
+		let media = tweet.extended_entities?.media || tweet.entities?.media || [];
+		let text = this.#getTextHtml(tweet, media);
+
+		let mediaHtml = media.map(item => {
+			let alt = entities.escapeAttribute(item.ext_alt_text || "");
+			let videoUrl = this.#getVideoUrl(item);
+			if(videoUrl) {
+				return `<video src="${entities.escapeAttribute(videoUrl)}" aria-label="${alt}" controls${item.type === "animated_gif" ? " autoplay loop muted playsinline" : ""}></video>`;
+			}
+			return `<img src="${entities.escapeAttribute(item.media_url_https)}" alt="${alt}">`;
+		});
+
+		return [`<p>${DataSource.nl2br(text.trim())}</p>`, ...mediaHtml].join("\n");
+	}
+
+	cleanEntry(rawEntry) {
+		let tweets = [rawEntry, ...(rawEntry.thread || [])];
+
+		let metadata = {};
+		let tags = [];
+		for(let tweet of tweets) {
+			for(let hashtag of tweet.entities?.hashtags || []) {
+				if(!tags.includes(hashtag.text)) {
+					tags.push(hashtag.text);
+				}
+			}
+		}
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		if(this.#isRetweet(rawEntry)) {
+			metadata.retweet = true;
+		}
+		if(rawEntry.in_reply_to_status_id_str) {
+			metadata.inReplyTo = `https://x.com/${rawEntry.in_reply_to_screen_name || "i"}/status/${rawEntry.in_reply_to_status_id_str}`;
+		}
+
+		let authors = [];
+		if(this.account?.username) {
+			authors.push({
+				name: this.account.accountDisplayName || this.account.username,
+				url: `https://x.com/${this.account.username}`,
+			});
+		}
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			type: TwitterArchive.TYPE,
+			title: this.toReadableDate(rawEntry.created_at),
+			url: this.getUrlFromEntry(rawEntry),
+			authors,
+			date: created,
+			dateUpdated: updated,
+			content: tweets.map(tweet => this.#getTweetHtml(tweet)).join("\n"),
+			contentType: "html",
+			metadata,
+		};
+
+		if(tags.length) {
+			cleanEntry.tags = tags;
+		}
+
+		return cleanEntry;
+	}
+}
+
+export { TwitterArchive };
@@ -1,21 +1,103 @@
 import "dotenv/config"
+import path from "node:path";
 import { DateCompare } from "@11ty/eleventy-utils";
+import striptags from "striptags";
 
 import { DataSource } from "../DataSource.js";
+import { Fetcher } from "../Fetcher.js";
+import { Logger } from "../Logger.js";
+import { HtmlTree } from "../HtmlTree.js";
 import { HostedWordPressApi } from "./HostedWordPressApi.js"
 
+// Ancestors of hierarchical post types (e.g. pages), avoids infinite loops
+const MAX_HIERARCHY_DEPTH = 50;
+
+// Post ids per comments request
+const COMMENTS_BATCH_SIZE = 50;
+// Ids per users, categories or tags request (maximum `per_page`)
+const LOOKUP_BATCH_SIZE = 100;
+
+const COMMENT_ALLOWED_TAGS = ["a", "p", "br", "em", "strong", "b", "i", "code", "pre", "blockquote", "ul", "ol", "li"];
+// Removed with their content
+const COMMENT_REMOVED_TAGS = ["script", "style", "iframe", "object", "embed", "noscript", "template"];
+
 class WordPressApi extends DataSource {
 	static TYPE = "wordpress";
 	static TYPE_FRIENDLY = "WordPress";
 	static IGNORED_CATEGORIES = ["Uncategorized"];
+	static DEFAULT_POST_TYPES = ["posts"];
+	// Requested when authenticated (only published posts are public)
+	static AUTHENTICATED_STATUSES = ["publish", "future", "draft", "pending", "private"];
+
+	// Only allowed tags are kept, links only keep `href`
+	static sanitizeCommentHtml(html = "") {
+		let unsafe = HtmlTree.parse(html);
+		for(let node of HtmlTree.querySelectorAll(unsafe, COMMENT_REMOVED_TAGS.join(","))) {
+			HtmlTree.remove(node);
+		}
+
+		let root = HtmlTree.parse(striptags(HtmlTree.render(unsafe), COMMENT_ALLOWED_TAGS));
+		for(let node of HtmlTree.querySelectorAll(root, "*")) {
+			let href = node.tag === "a" ? HtmlTree.getAttribute(node, "href") : undefined;
+			node.attrs = {};
+			if(href && /^(https?:|mailto:)/i.test(href)) {
+				HtmlTree.setAttribute(node, "href", href);
+			}
+		}
+		return HtmlTree.render(root).trim();
+	}
 
-	constructor(url) {
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(typeof value === "string") {
+			return value.split(",").map(entry => entry.trim()).filter(Boolean);
+		}
+		return [];
+	}
+
+	// Hierarchical post types, by id
+	#hierarchy = new Map();
+	// Nested file paths for entries without a permalink, by URL
+	#filePaths = new Map();
+	// Users and taxonomy terms (shared by all entries), by id
+	#lookups = {
+		users: new Map(),
+		categories: new Map(),
+		tags: new Map(),
+	};
+	#usersUnavailable = false;
+	#siteInfo;
+	#auth;
+
+	// `postTypes` is the REST API base for each post type (e.g. posts, pages or a custom post type `rest_base`)
+	// `comments: true` adds approved comments to `metadata.comments`
+	// `username` and `password` (an Application Password) or `token` (a bearer token, e.g. JWT) authenticate requests, defaulting to environment variables
+	// `apiRoot` is the REST API root (default `wp-json/` in the site folder), e.g. `https://example.com/?rest_route=/` without pretty permalinks
+	constructor(url, options = {}) {
 		if(HostedWordPressApi.isValid(url)) {
-			return new HostedWordPressApi(url);
+			return new HostedWordPressApi(url, options);
 		}
 
 		super();
 		this.url = url;
+
+		let postTypes = WordPressApi.toArray(options.postTypes);
+		this.postTypes = postTypes.length ? postTypes : WordPressApi.DEFAULT_POST_TYPES;
+		this.includeComments = Boolean(options.comments);
+		this.apiRoot = options.apiRoot;
+
+		this.#auth = {
+			username: options.username ?? process.env.WORDPRESS_USERNAME,
+			password: options.password ?? process.env.WORDPRESS_PASSWORD,
+			token: options.token ?? process.env.WORDPRESS_TOKEN,
+		};
+	}
+
+	isAuthenticated() {
+		let { username, password, token } = this.#auth;
+		return Boolean(token || (username && password));
 	}
 
 	// some pagination errors just mean there are no more pages
@@ -34,29 +116,31 @@ class WordPressApi extends DataSource {
 		return "json";
 	}
 
-	#getSubtypeUrl(subtype, suffix = "") {
+	// e.g. `wp/v2/posts/?page=1`
+	#getApiUrl(route = "") {
 		let {pathname} = new URL(this.url);
-		return (new URL(pathname + `wp-json/wp/v2/${subtype}/${suffix}`, this.url)).toString();
-	}
+		let apiRoot = new URL(this.apiRoot || (pathname + "wp-json/"), this.url);
+		if(!apiRoot.searchParams.has("rest_route")) {
+			return (new URL(route, apiRoot)).toString();
+		}
 
-	#getAuthorUrl(id) {
-		return this.#getSubtypeUrl("users", id);
+		// The route is a query parameter, e.g. `?rest_route=/wp/v2/posts/&page=1`
+		let [routePath, query] = route.split("?");
+		apiRoot.search = `?rest_route=${path.posix.join(apiRoot.searchParams.get("rest_route") || "/", routePath)}${query ? `&${query}` : ""}`;
+		return apiRoot.toString();
 	}
 
-	#getCategoryUrl(id) {
-		return this.#getSubtypeUrl("categories", id);
+	#getSubtypeUrl(subtype, suffix = "") {
+		return this.#getApiUrl(`wp/v2/${subtype}/${suffix}`);
 	}
 
-	#getTagsUrl(id) {
-		return this.#getSubtypeUrl("tags", id);
+	#getLookupUrl(subtype, ids) {
+		return this.#getSubtypeUrl(subtype, `?include=${encodeURIComponent(ids.join(","))}&per_page=${LOOKUP_BATCH_SIZE}`);
 	}
 
 	getUrl() {
-		// return function for paging
-		return (pageNumber = 1) => {
-			// status=publish,future,draft,pending,private
-			// status=any
-
+		// return function for paging, for each post type
+		return this.postTypes.map(restBase => (pageNumber = 1) => {
 			let withinStr = "";
 			if(this.within) {
 				let ms = DateCompare.getDurationMs(this.within);
@@ -65,27 +149,205 @@ class WordPressApi extends DataSource {
 			}
 
 			let statusStr = "";
-			// Only request Drafts if auth’d
-			if(process.env.WORDPRESS_USERNAME && process.env.WORDPRESS_PASSWORD) {
+			// Only request unpublished posts if auth’d
+			if(this.isAuthenticated()) {
 				// Commas are encoded
-				statusStr = `&status=${encodeURIComponent("publish,draft")}`;
+				statusStr = `&status=${encodeURIComponent(WordPressApi.AUTHENTICATED_STATUSES.join(","))}`;
 			}
 
-			return this.#getSubtypeUrl("posts", `?page=${pageNumber}&per_page=100${statusStr}${withinStr}`);
-		};
+			return this.#getSubtypeUrl(restBase, `?page=${pageNumber}&per_page=100${statusStr}${withinStr}`);
+		});
+	}
+
+	#addToHierarchy(rawEntry) {
+		this.#hierarchy.set(rawEntry.id, {
+			url: rawEntry.link,
+			slug: rawEntry.slug,
+			parent: rawEntry.parent,
+			parentUrl: rawEntry._links?.up?.[0]?.href,
+		});
+	}
+
+	async #getParent(item) {
+		if(!this.#hierarchy.has(item.parent) && item.parentUrl) {
+			try {
+				// Warning: extra API call, parent wasn’t imported (e.g. outside of `within`)
+				this.#addToHierarchy(await this.getData(item.parentUrl, this.getType()));
+			} catch(e) {
+				// Fetch logs the error upstream
+			}
+		}
+
+		return this.#hierarchy.get(item.parent);
+	}
+
+	// Drafts and pending posts don’t have a permalink yet (e.g. `?page_id=ID`)
+	#hasPermalink(url) {
+		return (new URL(url)).pathname !== (new URL(this.url)).pathname;
+	}
+
+	// Parent/child pages use nested folders, e.g. `about/team/jane/`
+	async #getHierarchyPath(item, depth = 0) {
+		if(this.#hasPermalink(item.url)) {
+			// Published permalinks are already nested (and include the site subfolder and rewrite prefixes)
+			return (new URL(item.url)).pathname;
+		}
+
+		if(!item.slug || depth >= MAX_HIERARCHY_DEPTH) {
+			return;
+		}
+
+		if(!item.parent) {
+			return path.posix.join((new URL(this.url)).pathname, item.slug, "/");
+		}
+
+		// Only when the whole parent chain resolves
+		let parent = await this.#getParent(item);
+		if(parent) {
+			let parentPath = await this.#getHierarchyPath(parent, depth + 1);
+			if(parentPath) {
+				return path.posix.join(parentPath, item.slug, "/");
+			}
+		}
+	}
+
+	async getEntries() {
+		let entries = await super.getEntries();
+
+		for(let item of [...this.#hierarchy.values()]) {
+			if(this.#hasPermalink(item.url)) {
+				continue;
+			}
+
+			let filePath = await this.#getHierarchyPath(item);
+			if(filePath) {
+				this.#filePaths.set(item.url, filePath);
+			}
+		}
+
+		if(this.includeComments) {
+			await this.#addComments(entries);
+		}
+
+		return entries;
+	}
+
+	async #getComments(postIds) {
+		let comments = [];
+		let pageNumber = 1;
+		while(true) {
+			// Warning: extra API call
+			let url = this.#getSubtypeUrl("comments", `?post=${encodeURIComponent(postIds.join(","))}&status=approve&orderby=date&order=asc&per_page=100&page=${pageNumber}`);
+			let data = await this.getData(url, this.getType());
+			if(!Array.isArray(data)) {
+				break;
+			}
+
+			comments.push(...data);
+			if(data.length < 100) {
+				break;
+			}
+			pageNumber++;
+		}
+
+		// Never includes emails or unapproved comments
+		return comments.filter(comment => comment.status === "approved").map(comment => {
+			let author = {
+				name: comment.author_name,
+			};
+			if(comment.author_url) {
+				author.url = comment.author_url;
+			}
+			if(comment.author_avatar_urls) {
+				// Largest size
+				author.avatarUrl = comment.author_avatar_urls[Object.keys(comment.author_avatar_urls).pop()];
+			}
+
+			return {
+				id: comment.id,
+				post: comment.post,
+				parent: comment.parent,
+				author,
+				date: this.toDateObj(comment.date_gmt ? `${comment.date_gmt}Z` : comment.date),
+				content: WordPressApi.sanitizeCommentHtml(comment.content?.rendered),
+			};
+		});
+	}
+
+	// Threaded (replies are nested), oldest first
+	async #addComments(entries) {
+		let byPostId = new Map(entries.filter(entry => entry.wordpressId).map(entry => [entry.wordpressId, entry]));
+		let postIds = [...byPostId.keys()];
+
+		for(let j = 0; j < postIds.length; j += COMMENTS_BATCH_SIZE) {
+			let comments;
+			try {
+				comments = await this.#getComments(postIds.slice(j, j + COMMENTS_BATCH_SIZE));
+			} catch(e) {
+				// Fetch logs the error upstream (e.g. comments are disabled)
+				continue;
+			}
+
+			let byId = new Map(comments.map(comment => [comment.id, comment]));
+			for(let comment of comments) {
+				let { post, parent } = comment;
+				delete comment.post;
+				delete comment.parent;
+
+				let parentComment = byId.get(parent);
+				if(parentComment) {
+					parentComment.replies = parentComment.replies || [];
+					parentComment.replies.push(comment);
+				} else {
+					let entry = byPostId.get(post);
+					entry.metadata.comments = entry.metadata.comments || [];
+					entry.metadata.comments.push(comment);
+				}
+			}
+		}
+	}
+
+	getFilePath(url) {
+		if(this.#filePaths.has(url)) {
+			return this.#filePaths.get(url);
+		}
+
+		// e.g. drafts without a slug
+		if(!this.#hasPermalink(url)) {
+			return path.posix.join((new URL(this.url)).pathname, Fetcher.createHash(url));
+		}
+
+		return (new URL(url)).pathname;
 	}
 
 	getHeaders() {
-		if(process.env.WORDPRESS_USERNAME && process.env.WORDPRESS_PASSWORD) {
+		let { username, password, token } = this.#auth;
+		if(token) {
+			return {
+				"Content-Type": "application/json",
+				"Authorization": `Bearer ${token}`,
+			}
+		}
+
+		// Application Passwords use Basic auth
+		if(username && password) {
 			return {
 				"Content-Type": "application/json",
-				"Authorization": "Basic " + btoa(`${process.env.WORDPRESS_USERNAME}:${process.env.WORDPRESS_PASSWORD}`),
+				"Authorization": "Basic " + btoa(`${username}:${password}`),
 			}
 		}
 
 		return {};
 	}
 
+	// Scheduled (`future`), `pending` and `private` posts are never published
+	cleanStatus(status) {
+		if(!status || status === "publish") {
+			return status;
+		}
+		return "draft";
+	}
+
 	getEntriesFromData(data) {
 		if(Array.isArray(data)) {
 			return data;
@@ -102,46 +364,104 @@ class WordPressApi extends DataSource {
 		return `${DataSource.UUID_PREFIX}::${WordPressApi.TYPE}::${entry.guid.rendered}`;
 	}
 
-	// stock WordPress is single-author
-	async #getAuthors(authorId) {
-		try {
+	// Fetches unknown ids in batches, e.g. `categories/?include=1,2,3`
+	async #prefetch(subtype, ids) {
+		let lookup = this.#lookups[subtype];
+		let missing = [...new Set(ids)].filter(id => !lookup.has(id));
+
+		for(let j = 0; j < missing.length; j += LOOKUP_BATCH_SIZE) {
+			let batch = missing.slice(j, j + LOOKUP_BATCH_SIZE);
+
 			// Warning: extra API call
-			let authorData = await this.getData(this.#getAuthorUrl(authorId), this.getType());
+			let data = await this.getData(this.#getLookupUrl(subtype, batch), this.getType());
+			for(let item of Array.isArray(data) ? data : []) {
+				lookup.set(item.id, item);
+			}
 
-			return [
-				{
-					// _wordpress_author_id: entry.author,
-					name: authorData.name,
-					url: authorData.url || authorData.link,
-					avatarUrl: authorData.avatar_urls[Object.keys(authorData.avatar_urls).pop()],
+			// Not found (e.g. deleted) ids aren’t requested again
+			for(let id of batch) {
+				if(!lookup.has(id)) {
+					lookup.set(id, undefined);
 				}
-			];
-		} catch(e) {
-			// Fetch logs the error upstream
-			return [];
+			}
 		}
 	}
 
-	async #getTags(ids) {
-		return Promise.all(ids.map(tagId => {
-			// Warning: extra API call
-			return this.getData(this.#getTagsUrl(tagId), this.getType()).then(tagData => {
-				return tagData.name;
-			});
-		}));
+	// Once per page of results instead of once per entry
+	async getCleanedEntries(data) {
+		let rawEntries = this.getEntriesFromData(data).filter(rawEntry => this.isWithin(rawEntry));
+
+		await this.#prefetch("categories", rawEntries.flatMap(rawEntry => rawEntry.categories || []));
+		await this.#prefetch("tags", rawEntries.flatMap(rawEntry => rawEntry.tags || []));
+
+		if(!this.#usersUnavailable) {
+			try {
+				await this.#prefetch("users", rawEntries.map(rawEntry => rawEntry.author).filter(Boolean));
+			} catch(e) {
+				// Hardened sites often block the `users` endpoint
+				this.#usersUnavailable = true;
+
+				if(this.isVerbose) {
+					Logger.warning(`WordPress users endpoint is unavailable (${e.message}), using fallback author names.`);
+				}
+			}
+		}
+
+		return super.getCleanedEntries(data);
 	}
 
-	async #getCategories(ids) {
-		let categoryNames = await Promise.all(ids.map(categoryId => {
-			// Warning: extra API call
-			return this.getData(this.#getCategoryUrl(categoryId), this.getType()).then(categoryData => {
-				return categoryData.name;
+	// Site name and home URL from the REST API index
+	async #getSiteInfo() {
+		if(!this.#siteInfo) {
+			// Warning: extra API call (once)
+			this.#siteInfo = this.getData(this.#getApiUrl(), this.getType()).catch(e => {
+				// Fetch logs the error upstream
+				return {};
 			});
-		}));
+		}
 
-		return categoryNames.filter(name => {
-			return !WordPressApi.IGNORED_CATEGORIES.includes(name);
-		});
+		return this.#siteInfo;
+	}
+
+	// stock WordPress is single-author
+	async #getAuthors(rawEntry) {
+		let authorData = this.#lookups.users.get(rawEntry.author);
+		if(authorData) {
+			let author = {
+				// _wordpress_author_id: entry.author,
+				name: authorData.name,
+				url: authorData.url || authorData.link,
+			};
+			if(authorData.avatar_urls) {
+				author.avatarUrl = authorData.avatar_urls[Object.keys(authorData.avatar_urls).pop()];
+			}
+			return [author];
+		}
+
+		// Author name from Yoast SEO metadata, then the site name
+		if(rawEntry.yoast_head_json?.author) {
+			return [
+				{
+					name: rawEntry.yoast_head_json.author,
+				}
+			];
+		}
+
+		let site = await this.#getSiteInfo();
+		if(site?.name) {
+			return [
+				{
+					name: site.name,
+					url: site.home || site.url,
+				}
+			];
+		}
+
+		return [];
+	}
+
+	#getTermNames(subtype, ids = []) {
+		return ids.map(id => this.#lookups[subtype].get(id)?.name).filter(Boolean);
 	}
 
 	getRawEntryDates(rawEntry) {
@@ -171,24 +491,50 @@ class WordPressApi extends DataSource {
 			metadata.media = media;
 		}
 
-		let categories = await this.#getCategories(rawEntry.categories);
+		// Pages and custom post types may not use taxonomies
+		let categories = this.#getTermNames("categories", rawEntry.categories).filter(name => {
+			return !WordPressApi.IGNORED_CATEGORIES.includes(name);
+		});
 		if(categories.length) {
 			metadata.categories = categories;
 		}
 
-		let tags = await this.#getTags(rawEntry.tags);
+		let tags = this.#getTermNames("tags", rawEntry.tags);
 		if(tags.length) {
 			metadata.tags = tags;
 		}
 
+		if(rawEntry.type && rawEntry.type !== "post") {
+			metadata.postType = rawEntry.type;
+		}
+
+		// Hierarchical post types have a `parent`
+		if("parent" in rawEntry) {
+			this.#addToHierarchy(rawEntry);
+		}
+
+		if(typeof rawEntry.menu_order === "number") {
+			metadata.menuOrder = rawEntry.menu_order;
+		}
+
+		if(rawEntry.template) {
+			metadata.template = rawEntry.template;
+		}
+
 		let { created, updated } = this.getRawEntryDates(rawEntry);
 
+		if(rawEntry.status === "future") {
+			metadata.scheduled = created;
+		} else if(rawEntry.status === "private") {
+			metadata.private = true;
+		}
+
 		let cleanEntry = {
 			uuid: this.getUniqueIdFromEntry(rawEntry),
 			type: WordPressApi.TYPE,
 			title: rawEntry.title?.rendered,
 			url,
-			authors: await this.#getAuthors(rawEntry.author),
+			authors: await this.#getAuthors(rawEntry),
 			date: created,
 			dateUpdated: updated,
 			content: rawEntry.content.rendered,
@@ -202,6 +548,12 @@ class WordPressApi extends DataSource {
 			cleanEntry.tags = metadata.categories;
 		}
 
+		// Used to fetch comments
+		Object.defineProperty(cleanEntry, "wordpressId", {
+			enumerable: false,
+			value: rawEntry.id,
+		});
+
 		return cleanEntry;
 	}
 }
@@ -0,0 +1,246 @@
+import { createHash } from "node:crypto";
+
+import { DataSource } from "../DataSource.js";
+import { WordPressApi } from "./WordPressApi.js";
+
+const BLOCK_LEVEL_ELEMENT = /^<\/?(?:address|article|aside|blockquote|details|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|nav|ol|p|pre|section|table|tbody|td|tfoot|th|thead|tr|ul|!--)/i;
+
+// Reads a local WordPress eXtended RSS (WXR) export file (Tools → Export in WordPress admin)
+class WordPressWxr extends DataSource {
+	static TYPE = "wxr";
+	static TYPE_FRIENDLY = "WordPress (WXR export)";
+	static POST_TYPES = ["post", "page"];
+	static STATUSES = ["publish", "draft"];
+
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		if(value === undefined || value === null || value === "") {
+			return [];
+		}
+		return [value];
+	}
+
+	static getText(value) {
+		if(value === undefined || value === null) {
+			return "";
+		}
+		if(typeof value === "object") {
+			return String(value["#text"] ?? "");
+		}
+		return String(value);
+	}
+
+	// Simplified version of WordPress’ `wpautop()`, WXR exports store the raw (unfiltered) post content
+	// Block editor content already includes its own markup
+	static autop(content = "") {
+		if(!content.trim() || content.includes("<!-- wp:")) {
+			return content;
+		}
+
+		return content.replace(/\r\n|\r/g, "\n").split(/\n\s*\n/).map(chunk => {
+			chunk = chunk.trim();
+			if(!chunk || BLOCK_LEVEL_ELEMENT.test(chunk)) {
+				return chunk;
+			}
+			return `<p>${chunk.replace(/\n/g, "<br>\n")}</p>`;
+		}).filter(Boolean).join("\n");
+	}
+
+	// Default Gravatar (same size and fallbacks as the REST API `avatar_urls`)
+	static getAvatarUrl(email) {
+		let hash = createHash("md5").update(email.trim().toLowerCase()).digest("hex");
+		return `https://secure.gravatar.com/avatar/${hash}?s=96&d=mm&r=g`;
+	}
+
+	// Lookups shared by all entries, by parsed export data
+	#maps = new WeakMap();
+
+	constructor(filePath) {
+		super();
+		this.filePath = filePath;
+	}
+
+	async getData() {
+		return this.getLocalData(this.filePath, "xml");
+	}
+
+	#getChannel(data) {
+		return data?.rss?.channel || {};
+	}
+
+	#getMaps(data) {
+		if(!this.#maps.has(data)) {
+			this.#maps.set(data, {
+				authors: this.#getAuthorMap(data),
+				attachments: this.#getAttachmentMap(data),
+			});
+		}
+		return this.#maps.get(data);
+	}
+
+	// Same shape as `WordPressApi` authors, the author archive uses the default permalink (`/author/login/`)
+	#getAuthorMap(data) {
+		let channel = this.#getChannel(data);
+		let blogUrl = WordPressWxr.getText(channel["wp:base_blog_url"] || channel.link);
+
+		let authors = {};
+		for(let author of WordPressWxr.toArray(channel["wp:author"])) {
+			let login = WordPressWxr.getText(author["wp:author_login"]);
+			let obj = {
+				name: WordPressWxr.getText(author["wp:author_display_name"]) || login,
+			};
+
+			if(blogUrl && login) {
+				// `user_nicename` isn’t exported, this is its default value
+				let nicename = login.toLowerCase().replace(/[^a-z0-9_-]+/g, "-");
+				obj.url = (new URL(`author/${encodeURIComponent(nicename)}/`, blogUrl.replace(/\/?$/, "/"))).toString();
+			}
+
+			let email = WordPressWxr.getText(author["wp:author_email"]);
+			if(email) {
+				obj.avatarUrl = WordPressWxr.getAvatarUrl(email);
+			}
+
+			authors[login] = obj;
+		}
+		return authors;
+	}
+
+	// Attachments by post ID, used for featured images and `[gallery]` shortcodes
+	#getAttachmentMap(data) {
+		let attachments = new Map();
+		for(let item of WordPressWxr.toArray(this.#getChannel(data).item)) {
+			if(item["wp:post_type"] === "attachment" && item["wp:attachment_url"]) {
+				attachments.set(WordPressWxr.getText(item["wp:post_id"]), {
+					url: WordPressWxr.getText(item["wp:attachment_url"]),
+					alt: this.#getPostMeta(item, "_wp_attachment_image_alt") || "",
+					caption: WordPressWxr.getText(item["excerpt:encoded"]),
+					parent: WordPressWxr.getText(item["wp:post_parent"]),
+				});
+			}
+		}
+		return attachments;
+	}
+
+	getEntriesFromData(data) {
+		return WordPressWxr.toArray(this.#getChannel(data).item).filter(item => {
+			return WordPressWxr.POST_TYPES.includes(item["wp:post_type"]) && WordPressWxr.STATUSES.includes(item["wp:status"]);
+		});
+	}
+
+	getUrlFromEntry(entry) {
+		return WordPressWxr.getText(entry.link);
+	}
+
+	// Matches the `WordPressApi` uuid for the same post
+	getUniqueIdFromEntry(entry) {
+		return `${DataSource.UUID_PREFIX}::${WordPressApi.TYPE}::${WordPressWxr.getText(entry.guid)}`;
+	}
+
+	#getGmtDate(gmtDate, localDate) {
+		let dateStr = WordPressWxr.getText(gmtDate);
+		let suffix = "Z";
+		// Drafts have an empty GMT date
+		if(!dateStr || dateStr.startsWith("0000-00-00")) {
+			dateStr = WordPressWxr.getText(localDate);
+			suffix = "";
+		}
+		if(!dateStr || dateStr.startsWith("0000-00-00")) {
+			return;
+		}
+
+		return this.toDateObj(`${dateStr.replace(" ", "T")}${suffix}`);
+	}
+
+	getRawEntryDates(rawEntry) {
+		return {
+			created: this.#getGmtDate(rawEntry["wp:post_date_gmt"], rawEntry["wp:post_date"]),
+			updated: this.#getGmtDate(rawEntry["wp:post_modified_gmt"], rawEntry["wp:post_modified"]),
+		};
+	}
+
+	#getTerms(rawEntry, domain) {
+		return WordPressWxr.toArray(rawEntry.category).filter(term => {
+			return typeof term === "object" && term["@_domain"] === domain;
+		}).map(term => WordPressWxr.getText(term));
+	}
+
+	#getPostMeta(rawEntry, key) {
+		let meta = WordPressWxr.toArray(rawEntry["wp:postmeta"]).find(meta => WordPressWxr.getText(meta["wp:meta_key"]) === key);
+		if(meta) {
+			return WordPressWxr.getText(meta["wp:meta_value"]);
+		}
+	}
+
+	// Same shape as `WordPressApi->cleanEntry`
+	async cleanEntry(rawEntry, data) {
+		let metadata = {};
+
+		let { authors, attachments } = this.#getMaps(data);
+		let thumbnailId = this.#getPostMeta(rawEntry, "_thumbnail_id");
+		let featuredImage = thumbnailId ? attachments.get(thumbnailId)?.url : undefined;
+		if(featuredImage) {
+			metadata.media = {
+				featuredImage,
+			};
+
+			// backwards compatibility (not downloaded or optimized)
+			metadata.featuredImage = featuredImage;
+		}
+
+		let categories = this.#getTerms(rawEntry, "category").filter(name => {
+			return !WordPressApi.IGNORED_CATEGORIES.includes(name);
+		});
+		if(categories.length) {
+			metadata.categories = categories;
+		}
+
+		let tags = this.#getTerms(rawEntry, "post_tag");
+		if(tags.length) {
+			metadata.tags = tags;
+		}
+
+		let authorLogin = WordPressWxr.getText(rawEntry["dc:creator"]);
+		let author = authors[authorLogin] || (authorLogin ? { name: authorLogin } : undefined);
+
+		let { created, updated } = this.getRawEntryDates(rawEntry);
+
+		let cleanEntry = {
+			uuid: this.getUniqueIdFromEntry(rawEntry),
+			// Same as `WordPressApi` entries for the same post
+			type: WordPressApi.TYPE,
+			title: WordPressWxr.getText(rawEntry.title),
+			url: this.getUrlFromEntry(rawEntry),
+			authors: author ? [author] : [],
+			date: created,
+			dateUpdated: updated,
+			content: WordPressWxr.autop(WordPressWxr.getText(rawEntry["content:encoded"])),
+			contentType: "html",
+			status: this.cleanStatus(rawEntry["wp:status"]),
+			metadata,
+		};
+
+		if(metadata.categories) {
+			// map WordPress categories for use in Eleventy tags (not WordPress metadata tags, which are different)
+			cleanEntry.tags = metadata.categories;
+		}
+
+		// Used to expand `[gallery]` shortcodes
+		Object.defineProperties(cleanEntry, {
+			wordpressId: {
+				enumerable: false,
+				value: WordPressWxr.getText(rawEntry["wp:post_id"]),
+			},
+			attachments: {
+				enumerable: false,
+				value: attachments,
+			},
+		});
+
+		return cleanEntry;
+	}
+}
+
+export { WordPressWxr };
@@ -1,5 +1,7 @@
 import fs from "graceful-fs";
+import path from "node:path";
 import { createHash } from "node:crypto";
+import { fileURLToPath } from "node:url";
 import kleur from "kleur";
 import { XMLParser } from "fast-xml-parser";
 
@@ -162,23 +164,49 @@ class Fetcher {
 			return assetUrl;
 		}
 
-		// Adds protocol from original page URL if a protocol relative URL
-		if(assetUrl.startsWith("//") && contextEntry.url) {
-			let contextUrl = new URL(contextEntry.url);
-			if(contextUrl.protocol) {
-				assetUrl = `${contextUrl.protocol}${assetUrl}`;
+		let originalAssetUrl = assetUrl;
+		let request;
+		try {
+			// Data source specific resolution (e.g. relative references in local files)
+			if(typeof contextEntry.source?.resolveAssetUrl === "function") {
+				assetUrl = contextEntry.source.resolveAssetUrl(assetUrl, contextEntry);
 			}
+
+			// Adds protocol from original page URL if a protocol relative URL
+			if(assetUrl.startsWith("//") && contextEntry.url) {
+				let contextUrl = new URL(contextEntry.url);
+				if(contextUrl.protocol) {
+					assetUrl = `${contextUrl.protocol}${assetUrl}`;
+				}
+			}
+
+			if(assetUrl.startsWith("file:")) {
+				request = this.readLocalAsset(assetUrl, contextEntry.source?.getLocalAssetRoots() || []);
+			} else {
+				// TODO move this upstream as a Fetch `alias` feature.
+				request = this.fetch(assetUrl, {
+					type: "buffer",
+					returnType: "response",
+				},
+				{
+					verbose: true,
+					showErrors: true,
+				});
+			}
+		} catch(error) {
+			// e.g. malformed URLs or percent-encoding in the content
+			if(!this.errors.has(originalAssetUrl)) {
+				this.errors.add(originalAssetUrl);
+
+				if(this.isVerbose) {
+					Logger.log(kleur.red(`Error resolving`), originalAssetUrl, kleur.red(error.message));
+				}
+			}
+
+			request = Promise.reject(error);
 		}
 
-		// TODO move this upstream as a Fetch `alias` feature.
-		return this.fetch(assetUrl, {
-			type: "buffer",
-			returnType: "response",
-		},
-		{
-			verbose: true,
-			showErrors: true,
-		}).then(result => {
+		return request.then(result => {
 			let { url: urlValue, filePath: fullOutputLocation } = this.getAssetLocation(assetUrl, result.headers?.["content-type"], contextEntry);
 
 			if(this.writtenAssetFiles.has(fullOutputLocation)) {
@@ -224,10 +252,41 @@ class Fetcher {
 		}, error => {
 			// Error logging happens in .fetch() upstream
 			// Fetching the asset failed but we don’t want to fail the upstream document promise
-			return assetUrl;
+			// Keeps the original reference (not a resolved local file path)
+			return originalAssetUrl;
 		});
 	}
 
+	// e.g. not `../../etc/passwd`
+	static isInsideFolder(folder, filePath) {
+		let relativePath = path.relative(path.resolve(folder), path.resolve(filePath));
+		return Boolean(relativePath) && relativePath.split(path.sep)[0] !== ".." && !path.isAbsolute(relativePath);
+	}
+
+	// Same return shape as fetch with `returnType: "response"`
+	async readLocalAsset(fileUrl, roots = []) {
+		try {
+			if(!roots.some(root => root && Fetcher.isInsideFolder(root, fileURLToPath(fileUrl)))) {
+				throw new Error("Local files can only be read from inside of a local source folder");
+			}
+
+			return {
+				headers: {},
+				body: fs.readFileSync(fileURLToPath(fileUrl)),
+			};
+		} catch(error) {
+			if(!this.errors.has(fileUrl)) {
+				this.errors.add(fileUrl);
+
+				if(this.isVerbose) {
+					Logger.log(kleur.red(`Error reading`), fileUrl, kleur.red(error.message));
+				}
+			}
+
+			throw error;
+		}
+	}
+
 	async fetch(url, options = {}, verbosity = {}) {
 		let { verbose, showErrors } = Object.assign({
 			verbose: true, // whether to log the initial fetch request
@@ -0,0 +1,213 @@
+import { HtmlTree } from "./HtmlTree.js";
+
+// Tried in order when no content selector is supplied
+const CONTENT_SELECTORS = [
+	"article",
+	"main",
+	"[role=\"main\"]",
+	".entry-content",
+	".post-content",
+	"#content",
+];
+
+// Never part of the main content
+const IGNORED_SELECTORS = [
+	"script",
+	"style",
+	"noscript",
+	"template",
+	"nav",
+	"form",
+];
+
+const URL_ATTRIBUTES = {
+	a: ["href"],
+	img: ["src", "srcset"],
+	source: ["src", "srcset"],
+	video: ["src", "poster"],
+	audio: ["src"],
+	track: ["src"],
+	iframe: ["src"],
+};
+
+const JSON_LD_CONTENT_TYPES = ["Article", "BlogPosting", "NewsArticle", "TechArticle", "WebPage", "Report"];
+
+// Extracts content and metadata from full HTML documents (scraped pages, static sites)
+class HtmlExtractor {
+	static parse(html = "") {
+		return HtmlTree.parse(html, {
+			comments: false,
+		});
+	}
+
+	// Readability-style fallback: the element with the most paragraph text
+	static findContentNode(root) {
+		let best;
+		let bestScore = 0;
+		for(let node of HtmlTree.querySelectorAll(root, "div, section, td")) {
+			let score = 0;
+			for(let child of HtmlTree.getChildren(node)) {
+				if(child?.tag === "p") {
+					score += HtmlTree.getText(child).trim().length;
+				}
+			}
+
+			if(score > bestScore) {
+				best = node;
+				bestScore = score;
+			}
+		}
+
+		return best;
+	}
+
+	static getContentNode(root, selector) {
+		if(selector) {
+			return HtmlTree.querySelector(root, selector);
+		}
+
+		for(let sel of CONTENT_SELECTORS) {
+			let node = HtmlTree.querySelector(root, sel);
+			if(node) {
+				return node;
+			}
+		}
+
+		return HtmlExtractor.findContentNode(root) || HtmlTree.querySelector(root, "body") || root;
+	}
+
+	static absolutizeUrls(node, baseUrl) {
+		for(let tagName in URL_ATTRIBUTES) {
+			for(let el of HtmlTree.querySelectorAll(node, tagName)) {
+				for(let attr of URL_ATTRIBUTES[tagName]) {
+					let value = HtmlTree.getAttribute(el, attr);
+					if(!value) {
+						continue;
+					}
+
+					try {
+						if(attr === "srcset") {
+							HtmlTree.setAttribute(el, attr, value.split(",").map(entry => {
+								let [url, ...descriptors] = entry.trim().split(/\s+/);
+								return [(new URL(url, baseUrl)).toString(), ...descriptors].join(" ");
+							}).join(", "));
+						} else if(!value.startsWith("#") && !value.startsWith("mailto:")) {
+							HtmlTree.setAttribute(el, attr, (new URL(value, baseUrl)).toString());
+						}
+					} catch(e) {
+						// leave invalid URLs as-is
+					}
+				}
+			}
+		}
+	}
+
+	// Returns the inner HTML of the main content (or `undefined` if the selector didn’t match)
+	static getContent(root, options = {}) {
+		let { selector, baseUrl } = options;
+
+		let node = HtmlExtractor.getContentNode(root, selector);
+		if(!node) {
+			return;
+		}
+
+		for(let ignored of HtmlTree.querySelectorAll(node, IGNORED_SELECTORS.join(", "))) {
+			HtmlTree.remove(ignored);
+		}
+
+		if(baseUrl) {
+			HtmlExtractor.absolutizeUrls(node, baseUrl);
+		}
+
+		return HtmlTree.getInnerHtml(node).trim();
+	}
+
+	static #getMeta(root, ...names) {
+		for(let name of names) {
+			let meta = HtmlTree.querySelector(root, `meta[property="${name}"]`) || HtmlTree.querySelector(root, `meta[name="${name}"]`);
+			let value = HtmlTree.getAttribute(meta, "content")?.trim();
+			if(value) {
+				return value;
+			}
+		}
+	}
+
+	static getJsonLd(root) {
+		let found = [];
+		for(let script of HtmlTree.querySelectorAll(root, 'script[type="application/ld+json"]')) {
+			try {
+				// Script contents aren’t HTML encoded
+				let json = JSON.parse(HtmlTree.getInnerHtml(script));
+				for(let entry of Array.isArray(json) ? json : [json]) {
+					found.push(entry, ...(entry?.["@graph"] || []));
+				}
+			} catch(e) {
+				// ignore invalid JSON-LD
+			}
+		}
+
+		return found.find(entry => {
+			let types = Array.isArray(entry?.["@type"]) ? entry["@type"] : [entry?.["@type"]];
+			return types.some(type => JSON_LD_CONTENT_TYPES.includes(type));
+		});
+	}
+
+	static #getJsonLdAuthors(jsonLd) {
+		let authors = jsonLd?.author;
+		if(!authors) {
+			return [];
+		}
+
+		return (Array.isArray(authors) ? authors : [authors]).map(author => {
+			if(typeof author === "string") {
+				return { name: author };
+			}
+
+			let obj = {
+				name: author.name,
+			};
+			if(author.url) {
+				obj.url = author.url;
+			}
+			return obj;
+		}).filter(author => author.name);
+	}
+
+	// From <meta>, JSON-LD and <time>
+	static getMetadata(root) {
+		let jsonLd = HtmlExtractor.getJsonLd(root);
+
+		let title = HtmlExtractor.#getMeta(root, "og:title", "twitter:title")
+			|| jsonLd?.headline
+			|| jsonLd?.name
+			|| HtmlTree.getText(HtmlTree.querySelector(root, "title")).trim()
+			|| HtmlTree.getText(HtmlTree.querySelector(root, "h1")).trim()
+			|| undefined;
+
+		let published = HtmlExtractor.#getMeta(root, "article:published_time", "date", "dc.date")
+			|| jsonLd?.datePublished
+			|| HtmlTree.getAttribute(HtmlTree.querySelector(root, "time[datetime]"), "datetime");
+
+		let modified = HtmlExtractor.#getMeta(root, "article:modified_time", "og:updated_time")
+			|| jsonLd?.dateModified;
+
+		let authors = HtmlExtractor.#getJsonLdAuthors(jsonLd);
+		if(authors.length === 0) {
+			let name = HtmlExtractor.#getMeta(root, "author", "article:author");
+			if(name) {
+				authors.push({ name });
+			}
+		}
+
+		return {
+			title,
+			published,
+			modified,
+			authors,
+			description: HtmlExtractor.#getMeta(root, "description", "og:description"),
+			image: HtmlExtractor.#getMeta(root, "og:image", "twitter:image"),
+		};
+	}
+}
+
+export { HtmlExtractor };
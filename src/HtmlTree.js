@@ -0,0 +1,312 @@
+import posthtml from "posthtml";
+import * as entities from "entities";
+
+// Type, `#id`, `.class` and attribute (`=`, `~=`, `|=`, `^=`, `$=`, `*=`) selectors with descendant and child combinators
+const SELECTOR_TOKEN = /\s*([>,])\s*|(\s+)|([\w-]+|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/y;
+
+// Comments and directives (e.g. `<!doctype html>`) are strings in the tree
+const NON_TEXT_NODE = /^<[!?]/;
+
+// Query and edit helpers for posthtml trees (posthtml nodes don’t reference their parent, removed nodes are rendered as nothing)
+class HtmlTree {
+	static #selectors = new Map();
+
+	// `comments: false` removes comments, `sourceLocations: true` adds `location` to element nodes
+	static parse(html = "", options = {}) {
+		let { tree } = posthtml().process(html, {
+			sync: true,
+			// e.g. `<iframe allowfullscreen>`
+			recognizeNoValueAttribute: true,
+			sourceLocations: Boolean(options.sourceLocations),
+		});
+
+		if(options.comments === false) {
+			HtmlTree.#removeComments(tree);
+		}
+
+		return tree;
+	}
+
+	static #removeComments(nodes) {
+		for(let j = nodes.length - 1; j >= 0; j--) {
+			let node = nodes[j];
+			if(typeof node === "string" && node.startsWith("<!--")) {
+				nodes.splice(j, 1);
+			} else if(Array.isArray(node?.content)) {
+				HtmlTree.#removeComments(node.content);
+			}
+		}
+	}
+
+	static render(nodes = []) {
+		return posthtml().process(Array.isArray(nodes) ? nodes : [nodes], {
+			sync: true,
+			skipParse: true,
+		}).html;
+	}
+
+	static getChildren(node) {
+		if(Array.isArray(node)) {
+			return node;
+		}
+		if(Array.isArray(node?.content)) {
+			return node.content;
+		}
+		return [];
+	}
+
+	static getInnerHtml(node) {
+		return HtmlTree.render(HtmlTree.getChildren(node));
+	}
+
+	// `[start, end]` string offsets of each node in `html` (parsed with `sourceLocations: true`)
+	static getSourceRanges(html, nodes) {
+		// Locations are 1-based lines and columns (inclusive)
+		let lineOffsets = [0];
+		for(let index = html.indexOf("\n"); index > -1; index = html.indexOf("\n", index + 1)) {
+			lineOffsets.push(index + 1);
+		}
+
+		return nodes.map(node => {
+			let { start, end } = node?.location || {};
+			if(!start || !end) {
+				return;
+			}
+			return [
+				lineOffsets[start.line - 1] + start.column - 1,
+				lineOffsets[end.line - 1] + end.column,
+			];
+		});
+	}
+
+	static isElement(node) {
+		return typeof node?.tag === "string";
+	}
+
+	// Decoded text content
+	static getText(node) {
+		if(typeof node === "string") {
+			return NON_TEXT_NODE.test(node) ? "" : entities.decodeHTML(node);
+		}
+		return HtmlTree.getChildren(node).map(child => HtmlTree.getText(child)).join("");
+	}
+
+	// Decoded attribute value
+	static getAttribute(node, name) {
+		let value = node?.attrs?.[name];
+		if(value === undefined || value === null) {
+			return;
+		}
+		if(value === true) {
+			return "";
+		}
+		return entities.decodeHTMLAttribute(String(value));
+	}
+
+	static setAttribute(node, name, value) {
+		if(!node.attrs) {
+			node.attrs = {};
+		}
+		node.attrs[name] = entities.escapeAttribute(value);
+	}
+
+	static remove(node) {
+		Object.assign(node, {
+			tag: false,
+			attrs: undefined,
+			content: [],
+		});
+	}
+
+	// Keeps the content
+	static unwrap(node) {
+		Object.assign(node, {
+			tag: false,
+			attrs: undefined,
+		});
+	}
+
+	static replaceWith(node, html) {
+		Object.assign(node, {
+			tag: false,
+			attrs: undefined,
+			content: [html],
+		});
+	}
+
+	static #parseSelector(selector) {
+		if(HtmlTree.#selectors.has(selector)) {
+			return HtmlTree.#selectors.get(selector);
+		}
+
+		let complexSelectors = [];
+		let complex = [];
+		let compound;
+		let combinator;
+
+		SELECTOR_TOKEN.lastIndex = 0;
+		while(SELECTOR_TOKEN.lastIndex < selector.length) {
+			let start = SELECTOR_TOKEN.lastIndex;
+			let match = SELECTOR_TOKEN.exec(selector);
+			if(!match) {
+				throw new Error(`Unsupported CSS selector: ${selector} (at \`${selector.slice(start)}\`)`);
+			}
+
+			let [, separator, whitespace, tag, id, className, attrName, operator, ...values] = match;
+			if(separator === ",") {
+				complexSelectors.push(complex);
+				complex = [];
+				compound = undefined;
+				combinator = undefined;
+				continue;
+			}
+			if(separator === ">") {
+				compound = undefined;
+				combinator = ">";
+				continue;
+			}
+			if(whitespace) {
+				compound = undefined;
+				continue;
+			}
+
+			if(!compound) {
+				compound = {
+					// relationship to the previous compound selector
+					combinator: complex.length ? (combinator || " ") : undefined,
+					classes: [],
+					attrs: [],
+				};
+				complex.push(compound);
+				combinator = undefined;
+			} else if(tag) {
+				throw new Error(`Unsupported CSS selector: ${selector} (at \`${selector.slice(start)}\`)`);
+			}
+
+			if(tag) {
+				compound.tag = tag.toLowerCase();
+			} else if(id) {
+				compound.id = id;
+			} else if(className) {
+				compound.classes.push(className);
+			} else {
+				compound.attrs.push({
+					name: attrName.toLowerCase(),
+					operator,
+					value: values.find(value => value !== undefined),
+				});
+			}
+		}
+		complexSelectors.push(complex);
+
+		if(complexSelectors.some(complex => complex.length === 0)) {
+			throw new Error(`Unsupported CSS selector: ${selector}`);
+		}
+
+		HtmlTree.#selectors.set(selector, complexSelectors);
+		return complexSelectors;
+	}
+
+	static #matchesAttribute(actual, { operator, value }) {
+		if(actual === undefined || actual === null) {
+			return false;
+		}
+
+		actual = actual === true ? "" : entities.decodeHTMLAttribute(String(actual));
+		if(operator === "=") {
+			return actual === value;
+		}
+		if(operator === "~=") {
+			return actual.split(/\s+/).includes(value);
+		}
+		if(operator === "|=") {
+			return actual === value || actual.startsWith(`${value}-`);
+		}
+		if(operator === "^=") {
+			return Boolean(value) && actual.startsWith(value);
+		}
+		if(operator === "$=") {
+			return Boolean(value) && actual.endsWith(value);
+		}
+		if(operator === "*=") {
+			return Boolean(value) && actual.includes(value);
+		}
+		return true;
+	}
+
+	static #matchesCompound(node, compound) {
+		if(!HtmlTree.isElement(node)) {
+			return false;
+		}
+		if(compound.tag && compound.tag !== "*" && node.tag.toLowerCase() !== compound.tag) {
+			return false;
+		}
+
+		let attrs = node.attrs || {};
+		if(compound.id && HtmlTree.getAttribute(node, "id") !== compound.id) {
+			return false;
+		}
+		if(compound.classes.length) {
+			let classes = (HtmlTree.getAttribute(node, "class") || "").split(/\s+/);
+			if(!compound.classes.every(className => classes.includes(className))) {
+				return false;
+			}
+		}
+
+		return compound.attrs.every(attr => HtmlTree.#matchesAttribute(attrs[attr.name], attr));
+	}
+
+	// `ancestors` are element nodes, nearest last
+	static #matchesComplex(node, ancestors, complex, index = complex.length - 1) {
+		let compound = complex[index];
+		if(!HtmlTree.#matchesCompound(node, compound)) {
+			return false;
+		}
+		if(index === 0) {
+			return true;
+		}
+
+		if(compound.combinator === ">") {
+			let parentIndex = ancestors.length - 1;
+			return parentIndex > -1 && HtmlTree.#matchesComplex(ancestors[parentIndex], ancestors.slice(0, parentIndex), complex, index - 1);
+		}
+
+		for(let j = ancestors.length - 1; j >= 0; j--) {
+			if(HtmlTree.#matchesComplex(ancestors[j], ancestors.slice(0, j), complex, index - 1)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	// Descendants of `root` (a node or a tree) in document order
+	static querySelectorAll(root, selector) {
+		let complexSelectors = HtmlTree.#parseSelector(selector);
+
+		let found = [];
+		let visit = (nodes, ancestors) => {
+			for(let node of nodes) {
+				if(typeof node !== "object" || !node) {
+					continue;
+				}
+
+				let isElement = HtmlTree.isElement(node);
+				if(isElement && complexSelectors.some(complex => HtmlTree.#matchesComplex(node, ancestors, complex))) {
+					found.push(node);
+				}
+
+				// Removed and unwrapped nodes (`tag: false`) aren’t ancestors
+				visit(HtmlTree.getChildren(node), isElement ? [...ancestors, node] : ancestors);
+			}
+		};
+		visit(HtmlTree.getChildren(root), []);
+
+		return found;
+	}
+
+	static querySelector(root, selector) {
+		return HtmlTree.querySelectorAll(root, selector)[0];
+	}
+}
+
+export { HtmlTree };
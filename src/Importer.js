@@ -10,16 +10,36 @@ import { Fetcher } from "./Fetcher.js";
 import { DirectoryManager } from "./DirectoryManager.js";
 import { MarkdownToHtml } from "./MarkdownToHtml.js";
 import { HtmlTransformer } from "./HtmlTransformer.js";
+import { WordPressContent } from "./WordPressContent.js";
 import { Persist } from "./Persist.js";
+import { Opml } from "./Opml.js";
 
 // Data Sources
 import { DataSource } from "./DataSource.js";
+import { Auto } from "./DataSource/Auto.js";
 import { YouTubeUser } from "./DataSource/YouTubeUser.js";
 import { Atom } from "./DataSource/Atom.js";
 import { Rss } from "./DataSource/Rss.js";
+import { JsonFeed } from "./DataSource/JsonFeed.js";
 import { WordPressApi } from "./DataSource/WordPressApi.js";
+import { WordPressWxr } from "./DataSource/WordPressWxr.js";
+import { Ghost } from "./DataSource/Ghost.js";
+import { Drupal } from "./DataSource/Drupal.js";
+import { DevTo } from "./DataSource/DevTo.js";
+import { GitHub } from "./DataSource/GitHub.js";
+import { Substack } from "./DataSource/Substack.js";
+import { Medium } from "./DataSource/Medium.js";
+import { Sitemap } from "./DataSource/Sitemap.js";
+import { LocalDirectory } from "./DataSource/LocalDirectory.js";
+import { StaticSiteGenerator } from "./DataSource/StaticSiteGenerator.js";
+import { Notion } from "./DataSource/Notion.js";
+import { Microformats } from "./DataSource/Microformats.js";
 import { BlueskyUser } from "./DataSource/BlueskyUser.js";
+import { BlueskyApi } from "./DataSource/BlueskyApi.js";
+import { TwitterArchive } from "./DataSource/TwitterArchive.js";
+import { Instagram } from "./DataSource/Instagram.js";
 import { FediverseUser } from "./DataSource/FediverseUser.js";
+import { MastodonApi } from "./DataSource/MastodonApi.js";
 
 import pkg from "../package.json" with { type: "json" };
 
@@ -44,6 +64,7 @@ class Importer {
 
 		this.markdownService = new MarkdownToHtml();
 		this.htmlTransformer = new HtmlTransformer();
+		this.wordpressContent = new WordPressContent();
 		this.directoryManager = new DirectoryManager();
 		this.persistManager = new Persist();
 		this.fetcher = new Fetcher();
@@ -61,6 +82,16 @@ class Importer {
 		}
 	}
 
+	// Custom WordPress shortcodes, e.g. `{ pullquote: (attributes, content) => html }`
+	addWordPressShortcodes(shortcodes) {
+		this.wordpressContent.addShortcodes(shortcodes);
+	}
+
+	// WordPress embeds as `html` (default) or Eleventy `shortcodes`
+	setWordPressEmbedFormat(format) {
+		this.wordpressContent.setEmbedFormat(format);
+	}
+
 	getCounts() {
 		return {
 			...this.counts,
@@ -159,18 +190,54 @@ class Importer {
 		if(typeof type === "string") {
 			type = type?.toLowerCase();
 
-			if(type === "youtubeuser") {
+			if(type === "auto") {
+				cls = Auto; // detects a feed or WordPress REST API
+			} else if(type === "youtubeuser") {
 				cls = YouTubeUser;
 			} else if(type === "atom") {
 				cls = Atom;
 			} else if(type === "rss") {
 				cls = Rss;
+			} else if(type === "jsonfeed") {
+				cls = JsonFeed;
 			} else if(type === "wordpress") {
 				cls = WordPressApi;
+			} else if(type === "wxr") {
+				cls = WordPressWxr; // local file
+			} else if(type === "ghost") {
+				cls = Ghost; // API or local export file
+			} else if(type === "drupal") {
+				cls = Drupal; // JSON:API
+			} else if(type === "devto") {
+				cls = DevTo; // Forem API
+			} else if(type === "github") {
+				cls = GitHub; // releases, issues or discussions
+			} else if(type === "substack") {
+				cls = Substack; // local export folder or zip
+			} else if(type === "medium") {
+				cls = Medium; // local export folder or zip
+			} else if(type === "sitemap") {
+				cls = Sitemap;
+			} else if(type === "directory") {
+				cls = LocalDirectory; // local folder of .html files
+			} else if(type === "hugo" || type === "jekyll" || type === "ssg") {
+				cls = StaticSiteGenerator; // local content folder
+			} else if(type === "microformats") {
+				cls = Microformats; // h-feed/h-entry HTML
+			} else if(type === "notion") {
+				cls = Notion; // local export folder or zip
 			} else if(type === "bluesky") {
 				cls = BlueskyUser; // RSS
+			} else if(type === "atproto") {
+				cls = BlueskyApi; // API (full history)
+			} else if(type === "twitter") {
+				cls = TwitterArchive; // local archive folder or zip
+			} else if(type === "instagram") {
+				cls = Instagram; // local export folder or zip
 			} else if(type === "fediverse") {
 				cls = FediverseUser; // RSS
+			} else if(type === "mastodon") {
+				cls = MastodonApi; // API (full history)
 			}
 		} else if(typeof type === "function") {
 			cls = type;
@@ -183,16 +250,25 @@ class Importer {
 		let identifier;
 		let label;
 		let filepathFormat;
+		let subfolder;
 
 		if(typeof options === "string") {
 			identifier = options;
+			options = {};
 		} else {
 			identifier = options.url || options.id;
 			label = options.label;
 			filepathFormat = options.filepathFormat;
+			subfolder = options.subfolder;
 		}
 
-		let source = new cls(identifier);
+		// `hugo` and `jekyll` decide the folder layout, `ssg` detects it
+		if(cls === StaticSiteGenerator && StaticSiteGenerator.FLAVORS.includes(type)) {
+			options = Object.assign({ flavor: type }, options);
+		}
+
+		// Source-specific options are passed through to the DataSource
+		let source = new cls(identifier, options);
 
 		if(!(source instanceof DataSource)) {
 			throw new Error(`${cls?.name} is not a supported type for addSource(). Requires a string type or a DataSource class.`);
@@ -213,7 +289,62 @@ class Importer {
 			source.setFilepathFormatFunction(filepathFormat);
 		}
 
+		if(subfolder) {
+			source.setOutputSubfolder(subfolder);
+		}
+
 		this.sources.push(source);
+
+		return source;
+	}
+
+	// Adds an `rss` or `atom` source for each feed in an OPML subscription list (local file or URL)
+	// `subfolders: true` writes each feed to its own output subfolder (from the outline title)
+	async addOpml(target, options = {}) {
+		let data;
+		if(target?.startsWith("https://") || target?.startsWith("http://")) {
+			data = await this.fetcher.fetch(target, { type: "xml" });
+		} else if(target && fs.existsSync(target)) {
+			data = Fetcher.parseXml(fs.readFileSync(target, "utf8"));
+		} else {
+			throw new Error(`Could not find OPML file: ${target}`);
+		}
+
+		let { subfolders, ...sourceOptions } = options;
+
+		let sources = [];
+		let usedSubfolders = new Set();
+		for(let feed of Opml.getFeeds(data)) {
+			let type = feed.type;
+			if(!type) {
+				// Warning: extra request, the feed is cached for the import
+				try {
+					type = Opml.sniffType(await this.fetcher.fetch(feed.url, { type: "xml" }));
+				} catch(e) {
+					// Fetch logs the error upstream
+					type = "rss";
+				}
+			}
+
+			let subfolder;
+			if(subfolders) {
+				// Feeds with the same title (or no title on the same host) get a numbered suffix
+				let name = slugify(feed.title || new URL(feed.url).hostname) || "feed";
+				subfolder = name;
+				for(let count = 2; usedSubfolders.has(subfolder); count++) {
+					subfolder = `${name}-${count}`;
+				}
+				usedSubfolders.add(subfolder);
+			}
+
+			sources.push(this.addSource(type, Object.assign({}, sourceOptions, {
+				url: feed.url,
+				label: feed.title,
+				subfolder,
+			})));
+		}
+
+		return sources;
 	}
 
 	getSources() {
@@ -248,6 +379,10 @@ class Importer {
 		return entry.contentType === "text";
 	}
 
+	static isMarkdown(entry) {
+		return entry.contentType === "markdown";
+	}
+
 	static isHtml(entry) {
 		// TODO add a CLI override for --importContentType?
 		// TODO add another path to guess if content is HTML https://mimesniff.spec.whatwg.org/#identifying-a-resource-with-an-unknown-mime-type
@@ -269,10 +404,32 @@ class Importer {
 		}
 	}
 
+	// Threaded comments, e.g. `wordpress` with the `comments` option
+	async fetchCommentAvatars(cleanEntry) {
+		let comments = [...(cleanEntry?.metadata?.comments || [])];
+		while(comments.length) {
+			let comment = comments.shift();
+			if(comment.author?.avatarUrl) {
+				try {
+					comment.author.avatarUrl = await this.fetcher.fetchAsset(comment.author.avatarUrl, cleanEntry);
+				} catch(e) {
+					// Fetch logs the error upstream, keeps the remote URL
+				}
+			}
+
+			comments.push(...(comment.replies || []));
+		}
+	}
+
 	async getTransformedContent(entry, isWritingToMarkdown) {
 		let content = entry.content;
 
 		if(Importer.isHtml(entry)) {
+			// Before assets are fetched (e.g. gallery images)
+			if(WordPressContent.isFromWordPress(entry)) {
+				content = this.wordpressContent.transform(content, entry);
+			}
+
 			let transformedHtml = content;
 			if(!isWritingToMarkdown) {
 				// decoding built-in with Markdown
@@ -286,6 +443,11 @@ class Importer {
 			}
 		}
 
+		// Markdown from the source (not converted), e.g. Hugo or Notion
+		if(Importer.isMarkdown(entry)) {
+			content = await this.processMarkdownImages(content, entry);
+		}
+
 		if(isWritingToMarkdown) {
 			if(Importer.isText(entry)) {
 				// _only_ decode newlines
@@ -302,6 +464,53 @@ class Importer {
 		return content;
 	}
 
+	async processMarkdownImages(content, entry) {
+		if(!content || !this.shouldDownloadAssets()) {
+			return content;
+		}
+
+		// Match markdown images: ![alt](url) or ![alt](url "title")
+		// Captures: [1] = alt text, [2] = URL, [3] = optional title with quotes
+		const imagePattern = /!\[([^\]]*)\]\(<?([^\s)>]+)>?\s*("[^"]*")?\)/g;
+
+		const matches = [...content.matchAll(imagePattern)];
+
+		for(const match of matches) {
+			const [fullMatch, altText, imageUrl, title] = match;
+			try {
+				const localUrl = await this.fetcher.fetchAsset(imageUrl, entry);
+				const replacement = title
+					? `![${altText}](${localUrl} ${title})`
+					: `![${altText}](${localUrl})`;
+				content = content.replace(fullMatch, replacement);
+			} catch(error) {
+				// If download fails, keep the original URL
+				if(this.isVerbose) {
+					console.error(`Failed to download image: ${imageUrl}`, error.message);
+				}
+			}
+		}
+
+		// HTML images in markdown, e.g. from converted Hugo shortcodes or Jekyll includes
+		// Captures: [1] = `<img … src=`, [2] = quote, [3] = URL (HTML escaped)
+		const htmlImagePattern = /(<img\b[^>]*?\ssrc=)(["'])(.*?)\2/gi;
+
+		for(const match of [...content.matchAll(htmlImagePattern)]) {
+			const [fullMatch, prefix, quote, rawUrl] = match;
+			try {
+				const localUrl = await this.fetcher.fetchAsset(entities.decodeHTMLAttribute(rawUrl), entry);
+				content = content.replace(fullMatch, `${prefix}${quote}${entities.escapeAttribute(localUrl)}${quote}`);
+			} catch(error) {
+				// If download fails, keep the original URL
+				if(this.isVerbose) {
+					console.error(`Failed to download image: ${rawUrl}`, error.message);
+				}
+			}
+		}
+
+		return content;
+	}
+
 	async processMarkdownAudioLinks(content, entry) {
 		if(!content || !this.shouldDownloadAssets()) {
 			return content;
@@ -384,6 +593,7 @@ class Importer {
 
 		let promises = await Promise.allSettled(entries.map(async entry => {
 			await this.fetchRelatedMedia(entry);
+			await this.fetchCommentAvatars(entry);
 
 			entry.content = await this.getTransformedContent(entry, isWritingToMarkdown);
 
@@ -422,10 +632,13 @@ class Importer {
 
 		let source = entry.source;
 
-		// prefer addSource specific override, then fallback to DataSource type default
+		// prefer addSource specific override, then fallback to DataSource instance or type default
 		let fallbackPath;
 		let hasFilePathFallback = typeof source?.constructor?.getFilePath === "function";
-		if(hasFilePathFallback) {
+		if(typeof source?.getFilePath === "function") {
+			// e.g. relative to a local folder (local files aren’t in `url`)
+			fallbackPath = source.getFilePath(url, entry);
+		} else if(hasFilePathFallback) {
 			fallbackPath = source?.constructor?.getFilePath(url);
 		} else {
 			fallbackPath = (new URL(url)).pathname;
@@ -440,7 +653,7 @@ class Importer {
 			}
 
 			// does method does *not* add a file extension for you, you must supply one in `filepathFormat` function
-			return path.join(this.#outputFolder, pathname);
+			return path.join(this.#outputFolder, source?.outputSubfolder || "", pathname);
 		}
 
 		// WordPress draft posts only have a `p` query param e.g. ?p=ID_NUMBER
@@ -452,6 +665,9 @@ class Importer {
 		if(this.#outputFolder) {
 			subdirs.push(this.#outputFolder);
 		}
+		if(source?.outputSubfolder) {
+			subdirs.push(source.outputSubfolder);
+		}
 		if(this.#draftsFolder && entry.status === "draft") {
 			subdirs.push(this.#draftsFolder);
 		}
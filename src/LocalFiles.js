@@ -0,0 +1,126 @@
+import os from "node:os";
+import path from "node:path";
+import fs from "graceful-fs";
+import { unzipSync } from "fflate";
+
+import { Fetcher } from "./Fetcher.js";
+
+// Zip archives are extracted here and reused on subsequent runs
+const ARCHIVE_CACHE_FOLDER = path.join(".cache", "import-archives");
+
+class LocalFiles {
+	// Dry run extractions, by archive (removed when the process exits)
+	static #temporaryDirectories = new Map();
+
+	static isZip(target) {
+		return path.extname(target || "").toLowerCase() === ".zip";
+	}
+
+	static #writeFiles(zipPath, outputDir) {
+		let files = unzipSync(fs.readFileSync(zipPath));
+		for(let name in files) {
+			// directory entry
+			if(name.endsWith("/")) {
+				continue;
+			}
+
+			let target = path.join(outputDir, name);
+			// Don’t allow archive entries to write outside of the output directory (“zip slip”)
+			if(!path.resolve(target).startsWith(path.resolve(outputDir) + path.sep)) {
+				throw new Error(`Invalid file path in archive ${zipPath}: ${name}`);
+			}
+
+			fs.mkdirSync(path.dirname(target), { recursive: true });
+			fs.writeFileSync(target, files[name]);
+		}
+	}
+
+	static #extractToTemporaryDirectory(zipPath, key) {
+		if(!LocalFiles.#temporaryDirectories.has(key)) {
+			if(LocalFiles.#temporaryDirectories.size === 0) {
+				process.once("exit", () => {
+					for(let dir of LocalFiles.#temporaryDirectories.values()) {
+						fs.rmSync(dir, { recursive: true, force: true });
+					}
+				});
+			}
+
+			let outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "11ty-import-"));
+			LocalFiles.#temporaryDirectories.set(key, outputDir);
+			LocalFiles.#writeFiles(zipPath, outputDir);
+		}
+
+		return LocalFiles.#temporaryDirectories.get(key);
+	}
+
+	// `dryRun: true` doesn’t write to the archive cache
+	static extractZip(zipPath, options = {}) {
+		let stat = fs.statSync(zipPath);
+		let key = Fetcher.createHash(`${path.resolve(zipPath)}::${stat.mtimeMs}`);
+		if(options.dryRun) {
+			return LocalFiles.#extractToTemporaryDirectory(zipPath, key);
+		}
+
+		let outputDir = path.join(ARCHIVE_CACHE_FOLDER, key);
+		if(fs.existsSync(outputDir)) {
+			return outputDir;
+		}
+
+		// Extract to a temporary folder first, an interrupted extraction is never reused
+		fs.mkdirSync(ARCHIVE_CACHE_FOLDER, { recursive: true });
+		let partialDir = fs.mkdtempSync(`${outputDir}-partial-`);
+		try {
+			LocalFiles.#writeFiles(zipPath, partialDir);
+			fs.renameSync(partialDir, outputDir);
+		} catch(e) {
+			fs.rmSync(partialDir, { recursive: true, force: true });
+
+			// Another process finished first
+			if(!fs.existsSync(outputDir)) {
+				throw e;
+			}
+		}
+
+		return outputDir;
+	}
+
+	// Returns a directory path for a local folder or a .zip file
+	static getDirectory(target, options = {}) {
+		if(!target || !fs.existsSync(target)) {
+			throw new Error(`Could not find local file or directory: ${target}`);
+		}
+
+		if(LocalFiles.isZip(target)) {
+			return LocalFiles.extractZip(target, options);
+		}
+
+		if(!fs.statSync(target).isDirectory()) {
+			throw new Error(`Expected a directory or .zip file: ${target}`);
+		}
+
+		return target;
+	}
+
+	// All file paths (relative to `dir`, using forward slashes) in a directory, recursively
+	static getFiles(dir, subdir = "") {
+		let files = [];
+		for(let entry of fs.readdirSync(path.join(dir, subdir), { withFileTypes: true })) {
+			let relativePath = subdir ? `${subdir}/${entry.name}` : entry.name;
+			if(entry.isDirectory()) {
+				files.push(...LocalFiles.getFiles(dir, relativePath));
+			} else if(entry.isFile()) {
+				files.push(relativePath);
+			}
+		}
+
+		return files.sort();
+	}
+
+	// Exports are sometimes nested in an extra top level folder, returns the shallowest match
+	static findFile(dir, filename) {
+		let matches = LocalFiles.getFiles(dir).filter(filePath => path.posix.basename(filePath) === filename);
+		return matches.sort((a, b) => a.split("/").length - b.split("/").length)[0];
+	}
+}
+
+export { LocalFiles };
@@ -298,6 +298,12 @@ class MarkdownToHtml {
 			}
 		});
 
+		// Eleventy shortcodes (e.g. WordPress embeds) aren’t escaped
+		ts.addRule("eleventy-shortcodes", {
+			filter: node => node.hasAttribute?.("data-eleventy-shortcode"),
+			replacement: (content, node) => `\n\n${node.textContent.trim()}\n\n`,
+		});
+
 		// ts.addRule("picture-unsupported", {
 		// 	filter: ["picture"],
 		// 	replacement: (content, node) => {
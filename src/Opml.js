@@ -0,0 +1,52 @@
+// Feed subscription lists, e.g. exported from a feed reader
+// https://opml.org/spec2.opml#subscriptionLists
+class Opml {
+	static toArray(value) {
+		if(Array.isArray(value)) {
+			return value;
+		}
+		return value ? [value] : [];
+	}
+
+	// `version="RSS2"`, `version="ATOM1"` or `type="atom"`
+	// `type="rss"` isn’t used: the spec (and most feed readers) use it for all feeds
+	static getDeclaredType(outline) {
+		let version = String(outline["@_version"] || "").toLowerCase();
+		if(version.startsWith("atom") || String(outline["@_type"]).toLowerCase() === "atom") {
+			return "atom";
+		}
+		if(version.startsWith("rss")) {
+			return "rss";
+		}
+	}
+
+	// Outlines can be nested (categories, folders)
+	static getFeeds(data) {
+		let feeds = [];
+		let outlines = Opml.toArray(data?.opml?.body?.outline);
+		while(outlines.length) {
+			let outline = outlines.shift();
+			if(outline["@_xmlUrl"]) {
+				feeds.push({
+					url: outline["@_xmlUrl"],
+					title: outline["@_title"] || outline["@_text"],
+					type: Opml.getDeclaredType(outline),
+				});
+			}
+
+			outlines.push(...Opml.toArray(outline.outline));
+		}
+
+		return feeds;
+	}
+
+	// Parsed feed XML
+	static sniffType(data) {
+		if(data?.feed) {
+			return "atom";
+		}
+		return "rss";
+	}
+}
+
+export { Opml };
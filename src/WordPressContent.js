@@ -0,0 +1,326 @@
+import * as entities from "entities";
+
+import { WordPressApi } from "./DataSource/WordPressApi.js";
+import { HostedWordPressApi } from "./DataSource/HostedWordPressApi.js";
+import { HtmlTree } from "./HtmlTree.js";
+
+// Attribute regex from WordPress’ `get_shortcode_atts_regex()`
+const SHORTCODE_ATTRIBUTES = /([\w-]+)\s*=\s*"([^"]*)"(?:\s|$)|([\w-]+)\s*=\s*'([^']*)'(?:\s|$)|([\w-]+)\s*=\s*([^\s'"]+)(?:\s|$)|"([^"]*)"(?:\s|$)|'([^']*)'(?:\s|$)|(\S+)(?:\s|$)/g;
+
+const AUDIO_ATTRIBUTES = ["src", "mp3", "m4a", "ogg", "wav", "wma", "flac"];
+const VIDEO_ATTRIBUTES = ["src", "mp4", "m4v", "webm", "ogv", "wmv", "flv"];
+
+// Shortcode output that shouldn’t be wrapped in a paragraph
+const BLOCK_LEVEL_ELEMENT = /^<(figure|div|audio|video|iframe|blockquote|p)\b/;
+
+// Expands core shortcodes (`[caption]`, `[gallery]`, `[embed]`, `[audio]`, `[video]`) and Gutenberg blocks into semantic HTML
+class WordPressContent {
+	static EMBED_FORMATS = ["html", "shortcodes"];
+
+	static isFromWordPress(entry) {
+		return entry.type === WordPressApi.TYPE || entry.type === HostedWordPressApi.TYPE;
+	}
+
+	// Port of WordPress’ `shortcode_parse_atts()`, positional attributes use numeric keys
+	static parseAttributes(text = "") {
+		let attributes = {};
+		let position = 0;
+		for(let match of text.replace(/[\u00a0\u200b]/g, " ").matchAll(SHORTCODE_ATTRIBUTES)) {
+			if(match[1]) {
+				attributes[match[1].toLowerCase()] = match[2];
+			} else if(match[3]) {
+				attributes[match[3].toLowerCase()] = match[4];
+			} else if(match[5]) {
+				attributes[match[5].toLowerCase()] = match[6];
+			} else {
+				attributes[position++] = match[7] ?? match[8] ?? match[9];
+			}
+		}
+		return attributes;
+	}
+
+	// Port of WordPress’ `get_shortcode_regex()`, including an optional wrapping paragraph (from `wpautop()`)
+	static getShortcodeRegex(names = []) {
+		let escapedNames = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+		return new RegExp(
+			"(?<paragraphStart><p>\\s*)?"
+			+ "\\[(?<escapeStart>\\[?)"
+			+ `(?<name>${escapedNames})(?![\\w-])`
+			+ "(?<attributes>[^\\]\\/]*(?:\\/(?!\\])[^\\]\\/]*)*?)"
+			+ "(?:(?<selfClosing>\\/)\\]|\\](?:(?<content>[^\\[]*(?:\\[(?!\\/\\k<name>\\])[^\\[]*)*)\\[\\/\\k<name>\\])?)"
+			+ "(?<escapeEnd>\\]?)"
+			+ "(?<paragraphEnd>\\s*<\\/p>)?",
+		"g");
+	}
+
+	// Returns `{ provider, id, url }` for YouTube, Vimeo and Twitter/X URLs
+	static getEmbed(url = "") {
+		let parsed;
+		try {
+			parsed = new URL(url.trim());
+		} catch(e) {
+			return;
+		}
+
+		let host = parsed.hostname.replace(/^(www|m|mobile)\./, "");
+		let embed = { url: parsed.toString() };
+
+		if(host === "youtu.be") {
+			embed.provider = "youtube";
+			embed.id = parsed.pathname.slice(1);
+		} else if(host === "youtube.com" || host === "youtube-nocookie.com") {
+			embed.provider = "youtube";
+			embed.id = parsed.pathname === "/watch" ? parsed.searchParams.get("v") : parsed.pathname.match(/^\/(embed|shorts|live)\/([\w-]+)/)?.[2];
+		} else if(host === "vimeo.com" || host === "player.vimeo.com") {
+			embed.provider = "vimeo";
+			embed.id = parsed.pathname.match(/^\/(?:video\/)?(\d+)/)?.[1];
+		} else if(host === "twitter.com" || host === "x.com") {
+			embed.provider = "twitter";
+			embed.id = parsed.pathname.match(/^\/\w+\/status(?:es)?\/(\d+)/)?.[1];
+			// Without tracking parameters, e.g. `?ref_src=twsrc`
+			embed.url = `${parsed.origin}${parsed.pathname}`;
+		}
+
+		if(!embed.id) {
+			return { url: embed.url };
+		}
+		return embed;
+	}
+
+	static getIds(value = "") {
+		return String(value).split(",").map(id => id.trim()).filter(Boolean);
+	}
+
+	#shortcodes = {};
+	#embedFormat = "html";
+
+	constructor() {
+		this.#shortcodes = {
+			caption: this.#caption.bind(this),
+			// Used before WordPress 2.6
+			wp_caption: this.#caption.bind(this),
+			gallery: this.#gallery.bind(this),
+			embed: this.#embed.bind(this),
+			audio: this.#audio.bind(this),
+			video: this.#video.bind(this),
+		};
+	}
+
+	// `{ name: (attributes, content, entry) => html }`, return `undefined` to leave the shortcode as is
+	addShortcodes(shortcodes = {}) {
+		for(let name in shortcodes) {
+			if(typeof shortcodes[name] !== "function") {
+				throw new Error(`Invalid WordPress shortcode for [${name}]: expected a function.`);
+			}
+			this.#shortcodes[name] = shortcodes[name];
+		}
+	}
+
+	// `html` (iframes, tweet blockquotes) or `shortcodes` (`youtube`, `vimeo` and `tweet` Eleventy shortcodes)
+	setEmbedFormat(format) {
+		if(!WordPressContent.EMBED_FORMATS.includes(format)) {
+			throw new Error(`Invalid WordPress embed format: ${format} (expected one of ${WordPressContent.EMBED_FORMATS.join(", ")})`);
+		}
+		this.#embedFormat = format;
+	}
+
+	#caption(attributes, content = "") {
+		// Image (optionally linked) followed by the caption text
+		let match = content.match(/^\s*((?:<a\b[^>]*>\s*)?<img\b[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/i);
+		let media = match ? match[1] : content;
+		let caption = (attributes.caption || (match ? match[2] : "")).replace(/^(\s|<br\s*\/?>)+|(\s|<br\s*\/?>)+$/g, "");
+
+		let align = attributes.align && attributes.align !== "alignnone" ? ` class="${entities.escapeAttribute(attributes.align)}"` : "";
+		return `<figure${align}>${media.trim()}${caption ? `<figcaption>${caption}</figcaption>` : ""}</figure>`;
+	}
+
+	// Attachments are added to entries by the data source, e.g. `wxr`
+	#gallery(attributes, content, entry) {
+		let attachments = entry?.attachments || new Map();
+		let ids = WordPressContent.getIds(attributes.ids || attributes.include);
+
+		let images;
+		if(ids.length) {
+			images = ids.map(id => attachments.get(id));
+		} else {
+			// All images attached to the post
+			images = Array.from(attachments.values()).filter(attachment => attachment.parent && attachment.parent === String(entry?.wordpressId));
+		}
+		images = images.filter(Boolean);
+
+		if(!images.length) {
+			return "";
+		}
+
+		let columns = parseInt(attributes.columns, 10) || 3;
+		let figures = images.map(({ url, alt, caption }) => {
+			let img = `<img src="${entities.escapeAttribute(url)}" alt="${entities.escapeAttribute(alt || "")}">`;
+			return `<figure>${img}${caption ? `<figcaption>${entities.escapeText(caption)}</figcaption>` : ""}</figure>`;
+		});
+		return `<div class="gallery gallery-columns-${columns}">${figures.join("")}</div>`;
+	}
+
+	#embed(attributes, content = "") {
+		let url = (content || attributes.src || attributes[0] || "").trim();
+		if(!url) {
+			return "";
+		}
+		return this.getEmbedHtml(url);
+	}
+
+	#getMediaSource(attributes, names) {
+		for(let name of names) {
+			if(attributes[name]) {
+				return attributes[name];
+			}
+		}
+	}
+
+	#audio(attributes) {
+		let src = this.#getMediaSource(attributes, AUDIO_ATTRIBUTES);
+		if(!src) {
+			return "";
+		}
+		return `<audio controls${attributes.loop === "on" ? " loop" : ""}><source src="${entities.escapeAttribute(src)}"></audio>`;
+	}
+
+	#video(attributes) {
+		let src = this.#getMediaSource(attributes, VIDEO_ATTRIBUTES);
+		if(!src) {
+			return "";
+		}
+		let poster = attributes.poster ? ` poster="${entities.escapeAttribute(attributes.poster)}"` : "";
+		return `<video controls${poster}><source src="${entities.escapeAttribute(src)}"></video>`;
+	}
+
+	getEmbedHtml(url) {
+		let embed = WordPressContent.getEmbed(url) || {};
+		let { provider, id } = embed;
+		if(provider === "twitter") {
+			url = embed.url;
+		}
+		let link = `<p><a href="${entities.escapeAttribute(url)}">${entities.escapeText(url)}</a></p>`;
+
+		if(this.#embedFormat === "shortcodes") {
+			let shortcode;
+			if(provider === "youtube" || provider === "vimeo") {
+				shortcode = `{% ${provider} "${id}" %}`;
+			} else if(provider === "twitter") {
+				shortcode = `{% tweet "${url}" %}`;
+			}
+			// Output as-is in Markdown
+			if(shortcode) {
+				return `<div data-eleventy-shortcode>${entities.escapeText(shortcode)}</div>`;
+			}
+			return link;
+		}
+
+		if(provider === "youtube") {
+			return `<iframe src="https://www.youtube.com/embed/${entities.escapeAttribute(id)}" title="YouTube video" loading="lazy" allowfullscreen></iframe>`;
+		}
+		if(provider === "vimeo") {
+			return `<iframe src="https://player.vimeo.com/video/${entities.escapeAttribute(id)}" title="Vimeo video" loading="lazy" allowfullscreen></iframe>`;
+		}
+		if(provider === "twitter") {
+			return `<blockquote class="twitter-tweet">${link}</blockquote>`;
+		}
+		return link;
+	}
+
+	expandShortcodes(content, entry) {
+		let regex = WordPressContent.getShortcodeRegex(Object.keys(this.#shortcodes));
+		return content.replace(regex, (match, ...args) => {
+			let { paragraphStart = "", paragraphEnd = "", escapeStart, escapeEnd, name, attributes, content } = args[args.length - 1];
+
+			// Escaped, e.g. `[[caption]]`
+			if(escapeStart && escapeEnd) {
+				return match.replace(/^(<p>\s*)?\[/, "$1").replace(/\](\s*<\/p>)?$/, "$1");
+			}
+
+			let html = this.#shortcodes[name](WordPressContent.parseAttributes(attributes), content, entry);
+			if(html === undefined) {
+				return match;
+			}
+
+			// Remove the paragraph when the shortcode was the only content
+			if(paragraphStart && paragraphEnd && (!html || BLOCK_LEVEL_ELEMENT.test(html))) {
+				return html;
+			}
+			return `${paragraphStart}${escapeStart}${html}${escapeEnd}${paragraphEnd}`;
+		});
+	}
+
+	// Block comments, e.g. `<!-- wp:paragraph -->` or `<!-- wp:latest-posts {"postsToShow":3} /-->`
+	static removeBlockComments(content) {
+		return content.replace(/<!--\s+\/?wp:[\s\S]*?-->\n?/g, "");
+	}
+
+	// Embed blocks: the URL (export) or provider markup (REST API) in `.wp-block-embed__wrapper`
+	convertEmbedBlocks(content, entry) {
+		if(!content.includes("wp-block-embed")) {
+			return content;
+		}
+
+		let root = HtmlTree.parse(content, { sourceLocations: true });
+		let figures = HtmlTree.querySelectorAll(root, "figure.wp-block-embed");
+		let ranges = HtmlTree.getSourceRanges(content, figures);
+		let replacements = [];
+		for(let [index, figure] of figures.entries()) {
+			let range = ranges[index];
+			if(!range) {
+				continue;
+			}
+
+			let wrapper = HtmlTree.querySelector(figure, ".wp-block-embed__wrapper") || figure;
+			let text = HtmlTree.getText(wrapper).trim();
+			let url = text.match(/^https?:\/\/\S+$/) ? text : undefined;
+			if(!url) {
+				url = HtmlTree.getAttribute(HtmlTree.querySelector(wrapper, "iframe[src]"), "src");
+			}
+			if(!url) {
+				let links = HtmlTree.querySelectorAll(wrapper, "a[href]").map(link => HtmlTree.getAttribute(link, "href"));
+				url = links.find(href => WordPressContent.getEmbed(href)?.provider === "twitter") || links[0];
+			}
+			if(!url) {
+				continue;
+			}
+
+			let html = this.#shortcodes.embed({}, url, entry);
+			if(html === undefined) {
+				continue;
+			}
+
+			let caption = HtmlTree.getInnerHtml(HtmlTree.querySelector(figure, "figcaption")).trim();
+			replacements.push({
+				range,
+				html: caption ? `<figure>${html}<figcaption>${caption}</figcaption></figure>` : html,
+			});
+		}
+
+		// Only the embed figures are replaced, the rest of the content is kept as-is
+		let result = "";
+		let position = 0;
+		for(let { range: [start, end], html } of replacements) {
+			// Nested in an embed that was already replaced
+			if(start < position) {
+				continue;
+			}
+			result += content.slice(position, start) + html;
+			position = end;
+		}
+
+		return result + content.slice(position);
+	}
+
+	transform(content, entry) {
+		if(!content) {
+			return content;
+		}
+
+		content = this.expandShortcodes(content, entry);
+		content = WordPressContent.removeBlockComments(content);
+		return this.convertEmbedBlocks(content, entry);
+	}
+}
+
+export { WordPressContent };
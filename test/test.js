@@ -2,12 +2,22 @@ import "dotenv/config";
 import test from 'node:test';
 import assert from "node:assert/strict";
 import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
 import { createRequire } from "node:module";
+import { pathToFileURL } from "node:url";
 
 import { Importer } from "../src/Importer.js";
 import { DataSource } from "../src/DataSource.js";
 import { Persist } from "../src/Persist.js";
 import { Fetcher } from "../src/Fetcher.js";
+import { LocalFiles } from "../src/LocalFiles.js";
+import { HtmlTree } from "../src/HtmlTree.js";
+import { WordPressContent } from "../src/WordPressContent.js";
+import { GitHub } from "../src/DataSource/GitHub.js";
+import { FediverseUser } from "../src/DataSource/FediverseUser.js";
+import { Auto } from "../src/DataSource/Auto.js";
+import { StaticSiteGenerator } from "../src/DataSource/StaticSiteGenerator.js";
 
 function cleanContent(content) {
 	// trim extra whitespace (dirty workaround for trailing whitespace)
@@ -92,15 +102,15 @@ test("WordPress import", async (t) => {
 	importer.addSource("wordpress", "https://blog.fontawesome.com/");
 
 	if(process.env.WORDPRESS_USERNAME) {
-		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=1&per_page=100&status=publish%2Cdraft", require("./sources/blog-awesome-posts.json"));
-		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=2&per_page=100&status=publish%2Cdraft", []);
+		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=1&per_page=100&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate", require("./sources/blog-awesome-posts.json"));
+		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=2&per_page=100&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate", []);
 	} else {
 		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=1&per_page=100", require("./sources/blog-awesome-posts.json"));
 		importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/posts/?page=2&per_page=100", []);
 	}
 
-	importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/categories/1", require("./sources/blog-awesome-categories.json"));
-	importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/users/155431370", require("./sources/blog-awesome-author.json"));
+	importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/categories/?include=1&per_page=100", [require("./sources/blog-awesome-categories.json")]);
+	importer.addDataOverride("wordpress", "https://blog.fontawesome.com/wp-json/wp/v2/users/?include=155431370&per_page=100", [require("./sources/blog-awesome-author.json")]);
 
 	importer.addPreserved(".c-button--primary");
 
@@ -152,6 +162,31 @@ We’ll keep fine-tuning that sweet, sweet recipe until February. Believe us; th
 	assert.equal(post.authors[0].name, "Matt Johnson");
 });
 
+test("WordPress.com sites don’t support self-hosted options", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let source = importer.addSource("wordpress", {
+		url: "https://example.wordpress.com/",
+		postTypes: "posts",
+		comments: false,
+	});
+	assert.equal(source.constructor.TYPE, "wordpressapi-hosted");
+
+	assert.throws(() => {
+		importer.addSource("wordpress", {
+			url: "https://example.wordpress.com/",
+			postTypes: "posts,pages",
+			comments: true,
+			username: "zach",
+		});
+	}, {
+		message: "WordPress.com sites (https://example.wordpress.com/) only support importing public posts, unsupported options: `username`, `comments`, `postTypes`",
+	});
+});
+
 test("addSource using DataSource", async (t) => {
 	let importer = new Importer();
 
@@ -176,6 +211,40 @@ test("addSource using DataSource", async (t) => {
 	assert.equal(entries.length, 1);
 });
 
+test("DataSource headers are merged with fetch option headers", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	class MySource extends DataSource {
+		static TYPE = "arbitrary";
+		static TYPE_FRIENDLY = "Arbitrary";
+
+		getHeaders() {
+			return { "x-api-key": "secret" };
+		}
+
+		async getFetchOptions() {
+			return { headers: { "accept": "application/json" } };
+		}
+	}
+
+	let source = importer.addSource(MySource);
+
+	// Responds with the request headers
+	let server = http.createServer((req, res) => {
+		res.writeHead(200, { "content-type": "application/json" });
+		res.end(JSON.stringify(req.headers));
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	t.after(() => server.close());
+
+	let headers = await source.getData(`http://127.0.0.1:${server.address().port}/headers`, "json");
+	assert.equal(headers["x-api-key"], "secret");
+	assert.equal(headers["accept"], "application/json");
+});
+
 test("addSource needs to use DataSource", async (t) => {
 	let importer = new Importer();
 
@@ -350,3 +419,2008 @@ test("within no", async (t) => {
 	});
 	assert.equal(entries.length, 0);
 });
+
+test("JSON Feed", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("jsonfeed", "https://example.com/feed.json");
+
+	importer.addDataOverride("jsonfeed", "https://example.com/feed.json", require("./sources/jsonfeed.json"));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [post, textPost] = entries;
+
+	assert.deepEqual(Object.keys(post).sort(), ["authors", "content", "contentType", "date", "dateUpdated", "filePath", "metadata", "tags", "title", "type", "url", "uuid"]);
+	assert.equal(post.title, "Second post");
+	assert.equal(post.content, "This is the **second** post.");
+	assert.equal(post.contentType, "markdown");
+	assert.equal(post.filePath, "posts/second.md");
+	assert.deepEqual(post.authors, [{ name: "Item Author", avatarUrl: "https://example.com/images/avatar.png" }]);
+	assert.deepEqual(post.tags, ["Eleventy", "Feeds"]);
+	assert.deepEqual(post.metadata.media, {
+		featuredImage: "https://example.com/images/second.png",
+		bannerImage: "https://example.com/images/second-banner.png",
+	});
+	assert.equal(post.metadata.attachments[0].mimeType, "audio/mpeg");
+	assert.equal(post.dateUpdated.toISOString(), "2024-12-03T12:00:00.000Z");
+
+	assert.equal(textPost.uuid, "11ty/import::jsonfeed::first");
+	assert.equal(textPost.contentType, "text");
+	assert.equal(textPost.content, "This is the first post.");
+	assert.equal(textPost.authors[0].name, "Feed Author");
+});
+
+test("JSON Feed items without a URL", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("jsonfeed", "https://example.com/feed.json");
+
+	importer.addDataOverride("jsonfeed", "https://example.com/feed.json", {
+		version: "https://jsonfeed.org/version/1.1",
+		title: "Example JSON Feed",
+		home_page_url: "https://example.com/notes/",
+		items: [
+			{ id: "https://example.com/notes/one/", content_text: "One", date_published: "2024-12-01T12:00:00Z" },
+			{ id: "two", external_url: "https://elsewhere.example/two/", content_text: "Two", date_published: "2024-12-02T12:00:00Z" },
+			{ id: "three", content_text: "Three", date_published: "2024-12-03T12:00:00Z" },
+		],
+	});
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	let [three, two, one] = entries;
+
+	assert.equal(one.url, "https://example.com/notes/one/");
+	assert.equal(two.url, "https://elsewhere.example/two/");
+
+	let hash = Fetcher.createHash("three");
+	assert.equal(three.url, `https://example.com/notes/#${hash}`);
+	assert.equal(three.filePath, `notes/${hash}.md`);
+});
+
+test("WordPress export (WXR) import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wxr", "./test/sources/wordpress-export.xml");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 3);
+
+	let [draft, post, page] = entries;
+
+	assert.deepEqual(Object.keys(post).sort(), ["authors", "content", "contentType", "date", "dateUpdated", "filePath", "metadata", "status", "tags", "title", "type", "url", "uuid"]);
+	assert.equal(post.uuid, "11ty/import::wordpress::https://example.com/?p=10");
+	// Same as WordPress REST API entries
+	assert.equal(post.type, "wordpress");
+	assert.equal(post.title, "Hello World");
+	assert.equal(post.filePath, "2021/12/hello-world.md");
+	assert.equal(post.date.toISOString(), "2021-12-14T16:00:00.000Z");
+	assert.deepEqual(post.authors, [{
+		name: "Matt Johnson",
+		url: "https://example.com/author/matt/",
+		avatarUrl: "https://secure.gravatar.com/avatar/702421acbcc8a345b3aaf090f6878814?s=96&d=mm&r=g",
+	}]);
+	assert.deepEqual(post.tags, ["News"]);
+	assert.deepEqual(post.metadata.tags, ["Icons"]);
+	assert.equal(post.metadata.media.featuredImage, "https://example.com/wp-content/uploads/2021/12/hello.png");
+	assert.equal(cleanContent(post.content), `First paragraph.
+
+Second paragraph
+with a line break.
+
+\`\`\`js
+let a = 1;
+\`\`\``);
+
+	assert.equal(page.title, "About");
+	assert.equal(page.content, "About this site.");
+
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.filePath, `drafts/${Fetcher.createHash("https://example.com/?p=13")}.md`);
+});
+
+test("Ghost export import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("ghost", {
+		id: "./test/sources/ghost-export.json",
+		siteUrl: "https://example.com/",
+	});
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.equal(entries.length, 2);
+
+	let [draft, post] = entries;
+
+	assert.equal(post.url, "https://example.com/leaving-ghost/");
+	assert.equal(post.filePath, "leaving-ghost.html");
+	assert.equal(post.status, "publish");
+	assert.deepEqual(post.authors, [{ name: "Casey Writer", url: "https://casey.example.com/" }]);
+	assert.deepEqual(post.tags, ["Migration"]);
+	assert.equal(post.metadata.media.featuredImage, "https://example.com/content/images/feature.png");
+	assert.equal(post.content, `<p>Intro.</p><blockquote><p><a href="https://www.11ty.dev/">Eleventy</a></p><p>A simpler site generator.</p></blockquote><blockquote><p>💡 Remember to <b>export</b>.</p></blockquote><figure><img src="https://example.com/content/images/one.png" alt="One"><img src="https://example.com/content/images/two.png" alt="Two"><figcaption>Two images</figcaption></figure>`);
+
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.filePath, "drafts/unfinished.html");
+});
+
+test("Ghost Content API import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	process.env.GHOST_CONTENT_API_KEY = "FAKE_KEY";
+
+	importer.addSource("ghost", "https://demo.ghost.io/");
+
+	let apiPost = {
+		id: "p1",
+		uuid: "api-post",
+		title: "From the API",
+		slug: "from-the-api",
+		url: "https://demo.ghost.io/from-the-api/",
+		html: "<p>Hello.</p>",
+		published_at: "2024-12-01T10:00:00.000Z",
+		updated_at: "2024-12-01T10:00:00.000Z",
+		authors: [{ name: "Ghost", profile_image: "https://demo.ghost.io/avatar.png" }],
+		tags: [{ name: "News", visibility: "public" }],
+	};
+
+	importer.addDataOverride("ghost", "https://demo.ghost.io/ghost/api/content/posts/?key=FAKE_KEY&include=authors,tags&formats=html&limit=100&page=1", { posts: [apiPost] });
+	importer.addDataOverride("ghost", "https://demo.ghost.io/ghost/api/content/posts/?key=FAKE_KEY&include=authors,tags&formats=html&limit=100&page=2", { posts: [] });
+	importer.addDataOverride("ghost", "https://demo.ghost.io/ghost/api/content/pages/?key=FAKE_KEY&include=authors,tags&formats=html&limit=100&page=1", { pages: [] });
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 1);
+
+	let [post] = entries;
+	assert.equal(post.content, "Hello.");
+	assert.equal(post.filePath, "from-the-api.md");
+	assert.deepEqual(post.authors, [{ name: "Ghost", avatarUrl: "https://demo.ghost.io/avatar.png" }]);
+	assert.deepEqual(post.tags, ["News"]);
+});
+
+test("Substack export import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("substack", {
+		id: "./test/sources/substack-export",
+		siteUrl: "https://example.substack.com/",
+	});
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.equal(entries.length, 2);
+
+	let [paywalled, post] = entries;
+
+	assert.equal(post.uuid, "11ty/import::substack::101");
+	assert.equal(post.url, "https://example.substack.com/p/hello-substack");
+	assert.equal(post.filePath, "hello-substack.html");
+	assert.equal(post.status, "publish");
+	assert.equal(post.metadata.subtitle, "A subtitle, with a comma");
+	assert.equal(post.content.trim(), `<p>Welcome to the newsletter.</p><div class="captioned-image-container"><figure><div class="image2-inset"><img src="https://substackcdn.com/image/fetch/photo.png" alt="A photo"></div><figcaption class="image-caption">Caption</figcaption></figure></div>`);
+
+	assert.equal(paywalled.status, "draft");
+	assert.equal(paywalled.filePath, "drafts/members-only.html");
+});
+
+test("Substack export without a site URL", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("substack", "./test/sources/substack-export");
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.equal(entries[1].url, "https://substack.com/p/hello-substack");
+});
+
+test("Medium export import (zip)", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("medium", "./test/sources/medium-export.zip");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let post = entries.find(entry => entry.status === "publish");
+	let draft = entries.find(entry => entry.status === "draft");
+
+	assert.equal(post.title, "Leaving Medium");
+	assert.equal(post.url, "https://medium.com/@casey/leaving-medium-abc123def456");
+	assert.equal(post.filePath, "leaving-medium-abc123def456.md");
+	assert.equal(post.date.toISOString(), "2019-05-01T12:00:00.000Z");
+	assert.deepEqual(post.authors, [{ name: "Casey Writer", url: "https://medium.com/@casey" }]);
+	assert.equal(post.metadata.subtitle, "Why I moved my writing");
+	assert.equal(post.content, "It is time to **own** my content.");
+
+	assert.equal(draft.title, "Next steps");
+	assert.equal(draft.uuid, "11ty/import::medium::fed987cba654");
+	assert.equal(draft.filePath, "drafts/fed987cba654.md");
+});
+
+test("Sitemap import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("sitemap", "https://example.com/sitemap-index.xml");
+
+	importer.addDataOverride("sitemap", "https://example.com/sitemap-index.xml", Fetcher.parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+	<sitemap><loc>https://example.com/sitemap-posts.xml</loc></sitemap>
+</sitemapindex>`));
+
+	importer.addDataOverride("sitemap", "https://example.com/sitemap-posts.xml", Fetcher.parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+	<url><loc>https://example.com/blog/first/</loc><lastmod>2024-01-02</lastmod></url>
+	<url><loc>https://example.com/about/</loc><lastmod>2024-02-01</lastmod></url>
+</urlset>`));
+
+	importer.addDataOverride("sitemap", "https://example.com/blog/first/", `<!doctype html>
+<html>
+<head>
+	<title>First post | Example</title>
+	<meta property="og:image" content="/images/og.png">
+	<script type="application/ld+json">{"@context":"https://schema.org","@type":"BlogPosting","headline":"First post","datePublished":"2024-01-01T10:00:00Z","author":{"@type":"Person","name":"Casey Writer","url":"https://example.com/casey/"}}</script>
+</head>
+<body>
+	<nav><a href="/">Home</a></nav>
+	<article><h1>First post</h1><p>Hello <a href="/about/">world</a>.</p><img src="/images/photo.png" alt="Photo"><script>track();</script></article>
+	<footer>Copyright</footer>
+</body>
+</html>`);
+
+	importer.addDataOverride("sitemap", "https://example.com/about/", `<!doctype html>
+<html>
+<head>
+	<title>About</title>
+	<meta name="author" content="Example Team">
+	<meta property="article:published_time" content="last Tuesday">
+	<meta property="article:modified_time" content="">
+</head>
+<body>
+	<div class="sidebar"><p>Short.</p></div>
+	<div class="page"><p>This is a longer paragraph about the site.</p><p>And another one.</p></div>
+</body>
+</html>`);
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.equal(entries.length, 2);
+
+	let [about, post] = entries;
+
+	assert.equal(post.title, "First post");
+	assert.equal(post.filePath, "blog/first.html");
+	assert.equal(post.date.toISOString(), "2024-01-01T10:00:00.000Z");
+	assert.deepEqual(post.authors, [{ name: "Casey Writer", url: "https://example.com/casey/" }]);
+	assert.equal(post.metadata.media.opengraphImage, "https://example.com/images/og.png");
+	assert.equal(post.content, `<h1>First post</h1><p>Hello <a href="https://example.com/about/">world</a>.</p><img src="https://example.com/images/photo.png" alt="Photo">`);
+
+	assert.equal(about.title, "About");
+	// Invalid page dates fall back to `lastmod`
+	assert.equal(about.date.toISOString(), "2024-02-01T00:00:00.000Z");
+	assert.equal(about.dateUpdated.toISOString(), "2024-02-01T00:00:00.000Z");
+	assert.deepEqual(about.authors, [{ name: "Example Team" }]);
+	assert.equal(about.content, "<p>This is a longer paragraph about the site.</p><p>And another one.</p>");
+});
+
+test("HTML selectors for scraped content", async (t) => {
+	let root = HtmlTree.parse(`<div id="main" class="post body"><h1 title="A &amp; B">Title</h1><section><p lang="en-US">One</p></section><p>Two &amp; three</p></div><link rel="alternate feed" href="/feed.xml">`);
+
+	assert.deepEqual(HtmlTree.querySelectorAll(root, "#main > p, section p").map(node => HtmlTree.getText(node)), ["One", "Two & three"]);
+	assert.equal(HtmlTree.querySelectorAll(root, "div.post.body p").length, 2);
+	assert.equal(HtmlTree.querySelector(root, 'p[lang|="en"]')?.tag, "p");
+	assert.equal(HtmlTree.getAttribute(HtmlTree.querySelector(root, "link[rel~=alternate][href^='/']"), "href"), "/feed.xml");
+	assert.equal(HtmlTree.getAttribute(HtmlTree.querySelector(root, "h1"), "title"), "A & B");
+
+	HtmlTree.remove(HtmlTree.querySelector(root, "section"));
+	HtmlTree.unwrap(HtmlTree.querySelector(root, "h1"));
+	assert.equal(HtmlTree.getInnerHtml(HtmlTree.querySelector(root, "div")), "Title<p>Two &amp; three</p>");
+
+	assert.throws(() => HtmlTree.querySelector(root, "p:first-child"), /Unsupported CSS selector/);
+});
+
+test("Local directory import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("directory", {
+		id: "./test/sources/static-site",
+		selector: "#content",
+		exclude: "tags/**",
+	});
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [home, post] = entries;
+
+	assert.equal(home.title, "Home");
+	assert.equal(home.filePath, "index.md");
+	assert.equal(home.url, undefined);
+	assert.doesNotMatch(Importer.convertEntryToYaml(home), /file:/);
+	assert.match(home.content, /^Welcome home\.\n\n!\[Logo\]\(assets\/logo-[A-Za-z0-9]+\.png\)$/);
+
+	assert.equal(post.title, "First post");
+	assert.equal(post.filePath, "blog/first-post.md");
+	assert.equal(post.date.toISOString(), "2010-05-01T00:00:00.000Z");
+	assert.deepEqual(post.authors, [{ name: "Casey Writer" }]);
+	assert.match(post.content, /^A post with a \[link\]\(\.\.\/index\.html\)\.\n\n!\[Photo\]\(assets\/photo-[A-Za-z0-9]+\.png\)$/);
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("Local files are only read by local sources", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let directory = importer.addSource("directory", "./test/sources/static-site");
+	// Root relative paths can’t go above the root
+	assert.equal(directory.resolveAssetUrl("/../../etc/passwd", {}), pathToFileURL(path.resolve("./test/sources/static-site/etc/passwd")).toString());
+	assert.equal(directory.resolveAssetUrl("/%2e%2e/%2e%2e/etc/passwd", {}), pathToFileURL(path.resolve("./test/sources/static-site/etc/passwd")).toString());
+
+	let remoteImporter = new Importer();
+	remoteImporter.setVerbose(false);
+	remoteImporter.setDryRun(true);
+	remoteImporter.addSource("rss", "https://example.com/feed.xml");
+
+	let localFileUrl = pathToFileURL(path.resolve("./test/sources/podcast/episode-1.jpg")).toString();
+	remoteImporter.addDataOverride("rss", "https://example.com/feed.xml", Fetcher.parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>Example</title><item>
+	<title>Hello</title>
+	<link>https://example.com/hello/</link>
+	<guid>https://example.com/hello/</guid>
+	<pubDate>Mon, 01 Apr 2024 12:00:00 GMT</pubDate>
+	<description><![CDATA[<p><img src="${localFileUrl}" alt=""></p>]]></description>
+</item></channel></rss>`));
+
+	// Not copied to the assets folder
+	let [entry] = await remoteImporter.getEntries({ contentType: "html" });
+	assert.ok(entry.content.includes(localFileUrl));
+});
+
+test("Malformed asset URLs are kept as-is", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let directory = importer.addSource("directory", "./test/sources/static-site");
+	let entry = { source: directory };
+	Object.defineProperty(entry, "sourceFilePath", { enumerable: false, value: path.resolve("./test/sources/static-site/index.html") });
+
+	// `decodeURIComponent` throws on malformed percent-encoding
+	let content = `![Bad](/bad%zz.png)\n\n<img src="/bad%zz.png" alt="Bad">`;
+	assert.equal(await importer.processMarkdownImages(content, entry), content);
+	assert.equal(await importer.fetcher.fetchAsset("/bad%zz.png", entry), "/bad%zz.png");
+});
+
+test("Hugo content import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("hugo", "./test/sources/hugo-site");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let post = entries.find(entry => entry.title === "First Post");
+	let about = entries.find(entry => entry.title === "About");
+
+	assert.equal(post.url, "https://hugo.example.com/posts/first-post/");
+	assert.equal(post.filePath, "posts/first-post.md");
+	assert.equal(post.contentType, "markdown");
+	assert.equal(post.date.toISOString(), "2023-04-05T10:00:00.000Z");
+	assert.equal(post.dateUpdated.toISOString(), "2023-04-06T10:00:00.000Z");
+	assert.deepEqual(post.tags, ["hugo", "migration"]);
+	assert.deepEqual(post.metadata.categories, ["Notes"]);
+	assert.deepEqual(post.metadata.aliases, ["/old/first-post/"]);
+	assert.equal(post.content, `Hello from Hugo.
+
+<figure><img src="/images/cover.png" alt="Cover"><figcaption>A cover image</figcaption></figure>
+
+<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ" title="YouTube video" width="560" height="315" frameborder="0" allowfullscreen loading="lazy"></iframe>
+
+\`\`\`go
+fmt.Println("hi")
+\`\`\``);
+
+	assert.equal(about.status, "draft");
+	assert.equal(about.filePath, "drafts/about.md");
+});
+
+test("Hugo local featured image", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("hugo", "./test/sources/hugo-site/content");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	let post = entries.find(entry => entry.title === "First Post");
+
+	assert.match(post.metadata.media.featuredImage, /^assets\/cover-[A-Za-z0-9]+\.png$/);
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("Hugo shortcode images are written as assets", async (t) => {
+	fs.mkdirSync(".cache", { recursive: true });
+	let outputFolder = fs.mkdtempSync(path.join(".cache", "test-output-"));
+	t.after(() => fs.rmSync(outputFolder, { recursive: true, force: true }));
+
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setOutputFolder(outputFolder);
+
+	importer.addSource("hugo", "./test/sources/hugo-site");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	let post = entries.find(entry => entry.title === "First Post");
+
+	let [, src] = post.content.match(/<img src="([^"]+)" alt="Cover">/);
+	assert.match(src, /^assets\/cover-[A-Za-z0-9]+\.png$/);
+	assert.ok(fs.existsSync(path.join(outputFolder, "posts", src)));
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("Hugo shortcode parameters", async (t) => {
+	assert.equal(StaticSiteGenerator.convertHugoShortcodes(`{{< youtube id='abc" onload="alert(1)' >}}`), `<iframe src="https://www.youtube-nocookie.com/embed/abc%22%20onload%3D%22alert(1)" title="YouTube video" width="560" height="315" frameborder="0" allowfullscreen loading="lazy"></iframe>`);
+	assert.match(StaticSiteGenerator.convertHugoShortcodes(`{{< vimeo "1 2" >}}`), /src="https:\/\/player\.vimeo\.com\/video\/1%202"/);
+
+	// Older Hugo versions only use the tweet id
+	assert.equal(StaticSiteGenerator.convertHugoShortcodes(`{{< tweet 1453110110599868418 >}}`), `<blockquote><p><a href="https://twitter.com/i/status/1453110110599868418">https://twitter.com/i/status/1453110110599868418</a></p></blockquote>`);
+	assert.match(StaticSiteGenerator.convertHugoShortcodes(`{{< tweet user="SanDiegoZoo" id="1453110110599868418" >}}`), /href="https:\/\/twitter\.com\/SanDiegoZoo\/status\/1453110110599868418"/);
+	assert.match(StaticSiteGenerator.convertHugoShortcodes(`{{< tweet SanDiegoZoo 1453110110599868418 >}}`), /href="https:\/\/twitter\.com\/SanDiegoZoo\/status\/1453110110599868418"/);
+});
+
+test("Static site generator type decides the folder layout", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	// Detected as Jekyll
+	let detected = importer.addSource("ssg", "./test/sources/jekyll-site/_posts");
+	// A Hugo content folder that happens to be named `_posts`
+	let hugo = importer.addSource("hugo", "./test/sources/jekyll-site/_posts");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+
+	assert.equal(detected.flavor, "jekyll");
+	assert.equal(hugo.flavor, "hugo");
+
+	let [jekyllPost, hugoPost] = [detected, hugo].map(source => {
+		return entries.find(entry => entry.source === source && entry.title === "Hello Jekyll");
+	});
+	assert.equal(jekyllPost.url, "https://jekyll.example.com/2020/01/02/hello-jekyll/");
+	assert.equal(hugoPost.url, "http://localhost:1313/2020-01-02-hello-jekyll/");
+});
+
+test("Jekyll posts import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("jekyll", "./test/sources/jekyll-site");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let post = entries.find(entry => entry.title === "Hello Jekyll");
+	let draft = entries.find(entry => entry.title === "Work in progress");
+
+	assert.equal(post.url, "https://jekyll.example.com/2020/01/02/hello-jekyll/");
+	assert.equal(post.filePath, "2020/01/02/hello-jekyll.md");
+	assert.equal(post.date.toISOString(), "2020-01-02T00:00:00.000Z");
+	assert.deepEqual(post.metadata.aliases, ["/hello/"]);
+	assert.equal(post.content, `\`\`\`ruby
+puts "hi"
+\`\`\`
+
+<figure><img src="/assets/photo.jpg" alt="A photo"><figcaption>A photo</figcaption></figure>
+
+See [the other post](/2019/12/31/older-post/).`);
+
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.filePath, "drafts/work-in-progress.md");
+});
+
+test("Notion export import (nested zip)", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("notion", "./test/sources/notion-export.zip");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 3);
+
+	let docs = entries.find(entry => entry.title === "Team Docs");
+	let onboarding = entries.find(entry => entry.title === "Onboarding");
+	let kickoff = entries.find(entry => entry.title === "Kickoff");
+
+	assert.equal(docs.uuid, "11ty/import::notion::0123456789abcdef0123456789abcdef");
+	assert.equal(docs.filePath, "team-docs.md");
+	assert.equal(docs.url, undefined);
+	assert.doesNotMatch(Importer.convertEntryToYaml(docs), /file:/);
+	assert.match(docs.content, /^Welcome to the docs\. See \[Onboarding\]\(\/team-docs\/onboarding\/\)\.\n\n!\[Diagram\]\(assets\/diagram-[A-Za-z0-9]+\.png\)\n\n\[Outside link\]\(https:\/\/example\.com\/readme\.md\)$/);
+
+	assert.equal(onboarding.filePath, "team-docs/onboarding.md");
+	assert.equal(onboarding.content, "Back to [Team Docs](/team-docs/).");
+
+	assert.equal(kickoff.filePath, "team-docs/meeting-notes/kickoff.md");
+	assert.equal(kickoff.content, "We kicked things off.");
+	assert.deepEqual(kickoff.metadata.properties, { Date: "January 2, 2024", Tags: "planning", Status: "Done" });
+	assert.deepEqual(kickoff.tags, ["planning"]);
+	assert.equal(kickoff.date.getFullYear(), 2024);
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("Notion database rows with sanitized and truncated file names", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("notion", "./test/sources/notion-database-titles.zip");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let sanitized = entries.find(entry => entry.title === "Q1: Goals/Risks");
+	let truncated = entries.find(entry => entry.title.startsWith("A very long"));
+
+	assert.deepEqual(sanitized.metadata.properties, { Status: "Done" });
+	assert.equal(sanitized.content, "First quarter.");
+	assert.deepEqual(truncated.metadata.properties, { Status: "Planned" });
+	assert.equal(truncated.content, "Later.");
+});
+
+test("Notion export folders aren’t duplicated when fetched again", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let notion = importer.addSource("notion", "./test/sources/notion-export.zip");
+
+	await notion.getData();
+	let roots = notion.getLocalAssetRoots();
+	await notion.getData();
+	assert.deepEqual(notion.getLocalAssetRoots(), roots);
+	assert.equal(new Set(roots).size, roots.length);
+
+	// Files outside of the export folders use the file name
+	let filePath = notion.getFilePath(undefined, { sourceFilePath: path.resolve("Elsewhere 0123456789abcdef0123456789abcdef.md") });
+	assert.equal(filePath, "elsewhere");
+});
+
+test("Drupal JSON:API import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("drupal", "https://drupal.example.com/");
+
+	// Second page is found using `links.next`
+	importer.addDataOverride("drupal", "https://drupal.example.com/jsonapi/node/article?include=uid%2Cfield_tags%2Cfield_image&sort=-created&page%5Blimit%5D=50", require("./sources/drupal-articles.json"));
+	importer.addDataOverride("drupal", "https://drupal.example.com/jsonapi/node/article?include=uid%2Cfield_tags%2Cfield_image&sort=-created&page%5Boffset%5D=50&page%5Blimit%5D=50", require("./sources/drupal-articles-2.json"));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [post, draft] = entries;
+
+	assert.equal(post.uuid, "11ty/import::drupal::4f5c6b7e-1d2a-4b3c-9e8f-0a1b2c3d4e5f");
+	assert.equal(post.title, "Migrating to Drupal 10");
+	assert.equal(post.url, "https://drupal.example.com/blog/migrating-to-drupal-10");
+	assert.equal(post.status, "publish");
+	assert.equal(post.content, "We upgraded **everything**.");
+	assert.deepEqual(post.authors, [{ name: "Dries" }]);
+	assert.deepEqual(post.tags, ["Upgrades", "PHP"]);
+	assert.equal(post.metadata.description, "Notes from our upgrade.");
+	assert.equal(post.metadata.media.featuredImage, "https://drupal.example.com/sites/default/files/2024-03/drupal.png");
+	assert.equal(post.date.toISOString(), "2024-03-04T10:00:00.000Z");
+	assert.equal(post.dateUpdated.toISOString(), "2024-03-05T12:30:00.000Z");
+
+	assert.equal(draft.url, "https://drupal.example.com/node/3");
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.tags, undefined);
+	assert.deepEqual(draft.metadata, {});
+});
+
+test("Drupal in a subfolder with multiple images in a field", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("drupal", {
+		url: "https://example.com/drupal",
+		relationships: ["field_gallery"],
+	});
+
+	let getImage = (id, fileName) => ({
+		type: "file--file",
+		id,
+		attributes: {
+			filemime: "image/png",
+			uri: { url: `/drupal/sites/default/files/${fileName}` },
+		},
+	});
+
+	importer.addDataOverride("drupal", "https://example.com/drupal/jsonapi/node/article?include=field_gallery&sort=-created&page%5Blimit%5D=50", {
+		data: [{
+			type: "node--article",
+			id: "gallery-post",
+			attributes: {
+				drupal_internal__nid: 9,
+				title: "Gallery",
+				created: "2024-03-01T10:00:00+00:00",
+				status: true,
+				path: { alias: "/blog/gallery" },
+				body: { processed: "<p>Photos</p>" },
+			},
+			relationships: {
+				field_gallery: {
+					data: [
+						{ type: "file--file", id: "image-1" },
+						{ type: "file--file", id: "image-2" },
+						{ type: "file--file", id: "image-3" },
+					],
+				},
+			},
+		}],
+		included: [
+			getImage("image-1", "one.png"),
+			getImage("image-2", "two.png"),
+			getImage("image-3", "three.png"),
+		],
+		links: {},
+	});
+
+	let [post] = await importer.getEntries({ contentType: "html" });
+	// Path aliases are relative to the subfolder
+	assert.equal(post.url, "https://example.com/drupal/blog/gallery");
+	assert.deepEqual(post.metadata.media, {
+		featuredImage: "https://example.com/drupal/sites/default/files/one.png",
+		field_gallery: "https://example.com/drupal/sites/default/files/two.png",
+		field_gallery_2: "https://example.com/drupal/sites/default/files/three.png",
+	});
+});
+
+test("Drupal content types without the default relationships", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	// JSON:API returns a 400 Bad Request when an included field doesn’t exist
+	let requests = [];
+	let server = http.createServer((req, res) => {
+		let url = new URL(req.url, "http://127.0.0.1/");
+		requests.push(url.searchParams.get("include"));
+
+		res.writeHead(url.searchParams.has("include") ? 400 : 200, { "content-type": "application/vnd.api+json" });
+		if(url.searchParams.has("include")) {
+			res.end(JSON.stringify({ errors: [{ status: "400", title: "Bad Request", detail: "`field_image` is not a valid relationship field name." }] }));
+		} else {
+			res.end(JSON.stringify({
+				data: [{
+					type: "node--page",
+					id: "0e2f1c3d-page",
+					attributes: {
+						drupal_internal__nid: 7,
+						title: "About",
+						created: "2024-03-01T10:00:00+00:00",
+						changed: "2024-03-01T10:00:00+00:00",
+						status: true,
+						path: { alias: "/about" },
+						body: { processed: "<p>About us</p>" },
+					},
+				}],
+				links: {},
+			}));
+		}
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	t.after(() => server.close());
+
+	let baseUrl = `http://127.0.0.1:${server.address().port}/`;
+	importer.addSource("drupal", { url: baseUrl, contentType: "page" });
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.deepEqual(requests, ["uid,field_tags,field_image", null]);
+	assert.equal(entries.length, 1);
+	assert.equal(entries[0].url, `${baseUrl}about`);
+	assert.equal(entries[0].content, "About us");
+});
+
+test("DEV (Forem) articles import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("devto", "zachleat");
+
+	let bodies = require("./sources/devto-article-bodies.json");
+
+	if(process.env.DEVTO_API_KEY) {
+		importer.addDataOverride("devto", "https://dev.to/api/users/me", { username: "zachleat" });
+		importer.addDataOverride("devto", "https://dev.to/api/articles/me/all?page=1&per_page=100", Object.values(bodies));
+		importer.addDataOverride("devto", "https://dev.to/api/articles/me/all?page=2&per_page=100", []);
+	} else {
+		importer.addDataOverride("devto", "https://dev.to/api/articles?username=zachleat&page=1&per_page=100", require("./sources/devto-articles.json"));
+		importer.addDataOverride("devto", "https://dev.to/api/articles?username=zachleat&page=2&per_page=100", []);
+		// Collections don’t include `body_markdown`
+		for(let id in bodies) {
+			importer.addDataOverride("devto", `https://dev.to/api/articles/${id}`, bodies[id]);
+		}
+	}
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [post, shortPost] = entries;
+
+	assert.equal(post.uuid, "11ty/import::devto::1850001");
+	assert.equal(post.url, "https://dev.to/zachleat/eleventy-tips-3k2p");
+	assert.equal(post.contentType, "markdown");
+	// Front matter is removed, Liquid tags are converted
+	assert.equal(post.content, "Use `--serve` while you work.\n\n<https://www.11ty.dev/>");
+	assert.equal(post.status, "publish");
+	assert.deepEqual(post.tags, ["eleventy", "webdev"]);
+	assert.equal(post.metadata.canonicalUrl, "https://www.zachleat.com/web/eleventy-tips/");
+	assert.equal(post.metadata.media.featuredImage, "https://media2.dev.to/dynamic/image/cover.png");
+	assert.deepEqual(post.authors, [{ name: "Zach Leatherman", url: "https://dev.to/zachleat", avatarUrl: "https://media2.dev.to/dynamic/image/zachleat.png" }]);
+	assert.equal(post.date.toISOString(), "2024-04-01T15:00:00.000Z");
+	assert.equal(post.dateUpdated.toISOString(), "2024-04-02T09:00:00.000Z");
+
+	assert.equal(shortPost.content, "Just a short one.");
+	assert.equal(shortPost.tags, undefined);
+	assert.equal(shortPost.metadata.canonicalUrl, undefined);
+	assert.equal(shortPost.dateUpdated, undefined);
+});
+
+test("DEV (Forem) Liquid tags", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let devto = importer.addSource("devto", "https://community.example.com/zachleat");
+
+	assert.equal(devto.convertLiquidTags("{% youtube dQw4w9WgXcQ %}"), `<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ" title="YouTube video" width="560" height="315" frameborder="0" allowfullscreen loading="lazy"></iframe>`);
+	assert.equal(devto.convertLiquidTags("{% github 11ty/eleventy no-readme %}"), "<https://github.com/11ty/eleventy>");
+	assert.equal(devto.convertLiquidTags("{% twitter 1234567890 %}"), "<https://twitter.com/i/status/1234567890>");
+	assert.equal(devto.convertLiquidTags("{% link zachleat/eleventy-tips-3k2p %}"), "<https://community.example.com/zachleat/eleventy-tips-3k2p>");
+	assert.equal(devto.convertLiquidTags("{% codepen https://codepen.io/zachleat/pen/abc %}"), "<https://codepen.io/zachleat/pen/abc>");
+
+	// Other Liquid syntax is kept as-is (escaped from Eleventy’s Liquid)
+	assert.equal(devto.convertLiquidTags("{% katex %}x^2{% endkatex %}"), "{% raw %}{% katex %}{% endraw %}x^2{% raw %}{% endkatex %}{% endraw %}");
+	assert.equal(devto.convertLiquidTags("Hello {{ name }}"), "Hello {% raw %}{{ name }}{% endraw %}");
+	assert.equal(devto.convertLiquidTags("Use `{% embed https://example.com/ %}`"), "Use {% raw %}`{% embed https://example.com/ %}`{% endraw %}");
+	assert.equal(devto.convertLiquidTags("```liquid\n{{ title }}\n```"), "{% raw %}```liquid\n{{ title }}\n```{% endraw %}");
+	assert.equal(devto.convertLiquidTags("{% raw %}{{ title }}{% endraw %}"), "{% raw %}{{ title }}{% endraw %}");
+});
+
+test("DEV API key for another user", async (t) => {
+	let apiKey = process.env.DEVTO_API_KEY;
+	process.env.DEVTO_API_KEY = "test-key";
+	t.after(() => {
+		if(apiKey === undefined) {
+			delete process.env.DEVTO_API_KEY;
+		} else {
+			process.env.DEVTO_API_KEY = apiKey;
+		}
+	});
+
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("devto", "zachleat");
+
+	let bodies = require("./sources/devto-article-bodies.json");
+
+	// The key belongs to someone else, public articles are used
+	importer.addDataOverride("devto", "https://dev.to/api/users/me", { username: "someone" });
+	importer.addDataOverride("devto", "https://dev.to/api/articles?username=zachleat&page=1&per_page=100", require("./sources/devto-articles.json"));
+	importer.addDataOverride("devto", "https://dev.to/api/articles?username=zachleat&page=2&per_page=100", []);
+	for(let id in bodies) {
+		importer.addDataOverride("devto", `https://dev.to/api/articles/${id}`, bodies[id]);
+	}
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+	assert.equal(entries[0].url, "https://dev.to/zachleat/eleventy-tips-3k2p");
+});
+
+test("GitHub parseTarget", async (t) => {
+	assert.deepEqual(GitHub.parseTarget("11ty/eleventy"), {
+		owner: "11ty",
+		repo: "eleventy",
+		mode: "releases",
+	});
+
+	assert.deepEqual(GitHub.parseTarget("https://github.com/11ty/eleventy/issues"), {
+		owner: "11ty",
+		repo: "eleventy",
+		mode: "issues",
+	});
+
+	assert.deepEqual(GitHub.parseTarget("https://github.com/11ty/eleventy/labels/good%20first%20issue"), {
+		owner: "11ty",
+		repo: "eleventy",
+		mode: "issues",
+		label: "good first issue",
+	});
+
+	assert.deepEqual(GitHub.parseTarget("11ty/eleventy/discussions/categories/announcements"), {
+		owner: "11ty",
+		repo: "eleventy",
+		mode: "discussions",
+		category: "announcements",
+	});
+});
+
+test("GitHub releases import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("github", "11ty/eleventy");
+
+	importer.addDataOverride("github", "https://api.github.com/repos/11ty/eleventy/releases?per_page=100&page=1", require("./sources/github-releases.json"));
+	importer.addDataOverride("github", "https://api.github.com/repos/11ty/eleventy/releases?per_page=100&page=2", []);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	// Newest first
+	let [draft, release] = entries;
+
+	assert.equal(release.uuid, "11ty/import::github::RE_kwDOBhN1Gs4JNQ3a");
+	assert.equal(release.title, "Eleventy v3.0.0");
+	assert.equal(release.url, "https://github.com/11ty/eleventy/releases/tag/v3.0.0");
+	assert.equal(release.content, "## Highlights\n\n* ESM support");
+	assert.equal(release.contentType, "markdown");
+	assert.equal(release.status, "publish");
+	assert.equal(release.date.toISOString(), "2024-10-02T14:00:00.000Z");
+	assert.deepEqual(release.metadata, {
+		tag: "v3.0.0",
+		assets: [
+			{
+				name: "eleventy-3.0.0.tgz",
+				url: "https://github.com/11ty/eleventy/releases/download/v3.0.0/eleventy-3.0.0.tgz",
+				contentType: "application/gzip",
+				size: 123456,
+			}
+		],
+		reactions: 42,
+	});
+
+	assert.equal(draft.title, "v3.1.0");
+	assert.equal(draft.status, "draft");
+	assert.equal(draft.metadata.prerelease, true);
+	assert.equal(draft.date.toISOString(), "2024-11-01T20:00:00.000Z");
+});
+
+test("GitHub issues import (by label)", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("github", "https://github.com/11ty/eleventy/labels/documentation");
+
+	importer.addDataOverride("github", "https://api.github.com/repos/11ty/eleventy/issues?state=all&per_page=100&page=1&labels=documentation", require("./sources/github-issues.json"));
+	importer.addDataOverride("github", "https://api.github.com/repos/11ty/eleventy/issues?state=all&per_page=100&page=2&labels=documentation", []);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	// Pull requests are skipped
+	assert.equal(entries.length, 1);
+
+	let [issue] = entries;
+	assert.equal(issue.title, "Docs: add a guide for importing content");
+	assert.deepEqual(issue.tags, ["documentation", "good first issue"]);
+	assert.deepEqual(issue.metadata, {
+		number: 3000,
+		state: "open",
+		reactions: 3,
+		tags: ["documentation", "good first issue"],
+	});
+	assert.deepEqual(issue.authors, [{ name: "pdehaan", url: "https://github.com/pdehaan", avatarUrl: "https://avatars.githubusercontent.com/u/557895?v=4" }]);
+	assert.equal(issue.dateUpdated.toISOString(), "2024-05-03T10:00:00.000Z");
+});
+
+test("GitHub discussions import (by category)", async (t) => {
+	// Required for the GraphQL API (requests are stubbed)
+	let token = process.env.GITHUB_TOKEN;
+	process.env.GITHUB_TOKEN = token || "test-token";
+	t.after(() => {
+		if(token) {
+			process.env.GITHUB_TOKEN = token;
+		} else {
+			delete process.env.GITHUB_TOKEN;
+		}
+	});
+
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("github", "https://github.com/11ty/eleventy/discussions/categories/announcements");
+
+	// Second page uses the `endCursor` from the first
+	importer.addDataOverride("github", "https://api.github.com/graphql", require("./sources/github-discussions.json"));
+	importer.addDataOverride("github", "https://api.github.com/graphql#after=Y3Vyc29yOjE%3D", require("./sources/github-discussions-2.json"));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [announcement, patch] = entries;
+	assert.equal(announcement.uuid, "11ty/import::github::D_kwDOBhN1Gs4AXyZa");
+	assert.equal(announcement.url, "https://github.com/11ty/eleventy/discussions/3500");
+	assert.equal(announcement.content, "Read the **announcement**.");
+	assert.deepEqual(announcement.tags, ["release"]);
+	assert.deepEqual(announcement.metadata, {
+		number: 3500,
+		category: "Announcements",
+		reactions: 25,
+		tags: ["release"],
+	});
+	assert.deepEqual(announcement.authors, [{ name: "zachleat", url: "https://github.com/zachleat", avatarUrl: "https://avatars.githubusercontent.com/u/39355?v=4" }]);
+
+	assert.equal(patch.title, "Eleventy v2.0.1");
+	assert.deepEqual(patch.authors, []);
+});
+
+test("Mastodon API import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("mastodon", {
+		id: "@eleventy@fosstodon.org",
+		postTypes: "boosts",
+		excludePostTypes: "pinned",
+	});
+
+	importer.addDataOverride("mastodon", "https://fosstodon.org/api/v1/accounts/lookup?acct=eleventy", { id: "1", username: "eleventy" });
+	importer.addDataOverride("mastodon", "https://fosstodon.org/api/v1/accounts/1/statuses?pinned=true", [{ id: "113000000000000000" }]);
+	importer.addDataOverride("mastodon", "https://fosstodon.org/api/v1/accounts/1/statuses?limit=40&exclude_replies=true&exclude_reblogs=false", [
+		{ id: "113000000000000000", created_at: "2024-09-01T00:00:00.000Z", url: "https://fosstodon.org/@eleventy/113000000000000000", content: "<p>Pinned</p>" },
+		...require("./sources/mastodon-statuses.json"),
+	]);
+	// Next page starts before the oldest status
+	importer.addDataOverride("mastodon", "https://fosstodon.org/api/v1/accounts/1/statuses?limit=40&exclude_replies=true&exclude_reblogs=false&max_id=113300000000000001", []);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	// Pinned post is skipped
+	assert.equal(entries.length, 3);
+
+	let [boost, spoiler, poll] = entries;
+
+	assert.equal(boost.uuid, "11ty/import::rss::https://fosstodon.org/users/eleventy/statuses/113500000000000003/activity");
+	// Boosts are written with your own posts
+	assert.equal(boost.url, "https://fosstodon.org/@eleventy/113500000000000003");
+	assert.equal(boost.filePath, "eleventy@fosstodon.org/113500000000000003.md");
+	assert.equal(boost.content, "I built my site with Eleventy!");
+	assert.equal(boost.authors[0].name, "Someone");
+	assert.equal(boost.metadata.boostOf, "https://mastodon.social/@someone/113499999999999999");
+
+	assert.equal(spoiler.filePath, "eleventy@fosstodon.org/113400000000000002.md");
+	assert.deepEqual(spoiler.tags, ["eleventy"]);
+	assert.deepEqual(spoiler.metadata, {
+		visibility: "unlisted",
+		contentWarning: "Spoilers for v4",
+		sensitive: true,
+		tags: ["eleventy"],
+	});
+	assert.match(spoiler.content, /^<details><summary>Spoilers for v4<\/summary>/);
+	assert.match(spoiler.content, /<img src="https:\/\/cdn\.fosstodon\.org\/media\/sneak-peek\.png" alt="A screenshot of the &quot;new&quot; build output"><\/details>$/);
+	assert.equal(spoiler.dateUpdated.toISOString(), "2024-11-02T12:05:00.000Z");
+
+	assert.deepEqual(poll.metadata.poll, {
+		options: [
+			{ title: "Nunjucks", votes: 12 },
+			{ title: "Liquid", votes: 18 },
+		],
+		votes: 30,
+		multiple: false,
+		expires: "2024-10-16T09:00:00.000Z",
+	});
+	assert.equal(poll.content, `Which template language do you use?
+
+-   Nunjucks (12 votes)
+-   Liquid (18 votes)`);
+});
+
+test("Fediverse URL parsing (per server software)", async (t) => {
+	assert.deepEqual(FediverseUser.parseFromUrl("https://fosstodon.org/@eleventy/113400000000000002"), {
+		username: "eleventy",
+		hostname: "fosstodon.org",
+		postId: "113400000000000002",
+	});
+
+	assert.deepEqual(FediverseUser.parseFromUrl("https://social.example.net/@me/statuses/01HXYZABCDEF0123456789ABCD", "gotosocial"), {
+		username: "me",
+		hostname: "social.example.net",
+		postId: "01HXYZABCDEF0123456789ABCD",
+	});
+
+	assert.deepEqual(FediverseUser.parseFromUrl("https://misskey.example/notes/9vx2abcdef", "misskey"), {
+		username: undefined,
+		hostname: "misskey.example",
+		postId: "9vx2abcdef",
+	});
+
+	// Username comes from the resolved account
+	let source = new FediverseUser("lain@pleroma.example");
+	source.software = FediverseUser.getSoftwareName("Akkoma");
+	assert.equal(source.software, "pleroma");
+	assert.equal(source.getFilePath("https://pleroma.example/notice/AbCdEf123"), "lain@pleroma.example/AbCdEf123");
+});
+
+test("Fediverse custom domain handle (WebFinger)", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("fediverse", "@me@example.com");
+
+	importer.addDataOverride("fediverse", "https://example.com/.well-known/webfinger?resource=acct%3Ame%40example.com", {
+		subject: "acct:me@example.com",
+		links: [
+			{ rel: "http://webfinger.net/rel/profile-page", type: "text/html", href: "https://social.example.net/@me" },
+			{ rel: "self", type: "application/activity+json", href: "https://social.example.net/users/me" },
+		],
+	});
+	importer.addDataOverride("fediverse", "https://social.example.net/users/me", {
+		type: "Person",
+		preferredUsername: "me",
+		outbox: "https://social.example.net/users/me/outbox",
+	});
+	importer.addDataOverride("fediverse", "https://social.example.net/.well-known/nodeinfo", {
+		links: [
+			{ rel: "http://nodeinfo.diaspora.software/ns/schema/2.0", href: "https://social.example.net/nodeinfo/2.0" },
+		],
+	});
+	importer.addDataOverride("fediverse", "https://social.example.net/nodeinfo/2.0", {
+		software: { name: "gotosocial", version: "0.16.0" },
+	});
+
+	let stubContent = fs.readFileSync("./test/sources/gotosocial-feed.xml");
+	importer.addDataOverride("fediverse", "https://social.example.net/@me/feed.rss", Fetcher.parseXml(stubContent.toString("utf8")));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 1);
+
+	let [post] = entries;
+	assert.equal(post.uuid, "11ty/import::rss::https://social.example.net/@me/statuses/01HXYZABCDEF0123456789ABCD");
+	assert.equal(post.filePath, "me@social.example.net/01HXYZABCDEF0123456789ABCD.md");
+	assert.equal(post.content, "Hello from GoToSocial");
+});
+
+test("Bluesky AT Protocol import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("atproto", {
+		id: "@zachleat.com",
+		threads: true,
+	});
+
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=zachleat.com", { did: "did:plc:xpchjovbk6sxl3bv74z7cs54" });
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/app.bsky.feed.getAuthorFeed?actor=did%3Aplc%3Axpchjovbk6sxl3bv74z7cs54&limit=100&filter=posts_and_author_threads", require("./sources/bluesky-author-feed.json"));
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/app.bsky.feed.getAuthorFeed?actor=did%3Aplc%3Axpchjovbk6sxl3bv74z7cs54&limit=100&filter=posts_and_author_threads&cursor=2024-10-02T14%3A05%3A00.000Z", require("./sources/bluesky-author-feed-2.json"));
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	// Reposts are skipped, the self-reply is merged into the first post
+	assert.equal(entries.length, 2);
+
+	let [thread, quote] = entries;
+
+	assert.equal(thread.uuid, "11ty/import::rss::at://did:plc:xpchjovbk6sxl3bv74z7cs54/app.bsky.feed.post/3root");
+	assert.equal(thread.url, "https://bsky.app/profile/zachleat.com/post/3root");
+	assert.equal(thread.filePath, "zachleat.com/3root.html");
+	assert.equal(thread.content, `<p>🎈 New <a href="https://www.zachleat.com/web/eleventy-v3/">blog post</a>: Eleventy v3 is out! <a href="https://bsky.app/hashtag/eleventy">#eleventy</a> via <a href="https://bsky.app/profile/did:plc:11ty">@11ty.dev</a></p>
+<blockquote><p><a href="https://www.11ty.dev/blog/eleventy-v3/">Eleventy v3.0</a></p><p>The release notes</p></blockquote>
+<p>Here’s a screenshot:<br>
+the new docs</p>
+<img src="https://cdn.bsky.app/img/feed_fullsize/plain/docs.jpg" alt="The new docs home page">`);
+	assert.deepEqual(thread.tags, ["eleventy"]);
+	assert.equal(thread.dateUpdated.toISOString(), "2024-10-02T14:05:00.000Z");
+
+	assert.equal(quote.content, `<p>So true</p>
+<img src="https://cdn.bsky.app/img/f/a.jpg" alt="">
+<blockquote><p>Static sites are great</p><p>— <a href="https://bsky.app/profile/someone.bsky.social/post/3q">@someone.bsky.social</a></p></blockquote>`);
+});
+
+test("Bluesky replies to someone else inside of a thread aren’t merged", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("atproto", {
+		id: "@zachleat.com",
+		postTypes: ["replies"],
+		threads: true,
+	});
+
+	let did = "did:plc:xpchjovbk6sxl3bv74z7cs54";
+	let [root] = require("./sources/bluesky-author-feed-2.json").feed;
+	let getReply = (id, parentUri, createdAt) => {
+		let item = structuredClone(root);
+		item.post.uri = `at://${did}/app.bsky.feed.post/${id}`;
+		item.post.record = {
+			text: id,
+			createdAt,
+			reply: {
+				root: { uri: root.post.uri },
+				parent: { uri: parentUri },
+			},
+		};
+		delete item.post.embed;
+		return item;
+	};
+
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=zachleat.com", { did });
+	importer.addDataOverride("atproto", `https://public.api.bsky.app/xrpc/app.bsky.feed.getAuthorFeed?actor=${encodeURIComponent(did)}&limit=100&filter=posts_with_replies`, {
+		feed: [
+			// Reply to a reply from someone else, and a self-reply to that
+			getReply("3answer2", `at://${did}/app.bsky.feed.post/3answer`, "2024-10-02T15:05:00.000Z"),
+			getReply("3answer", "at://did:plc:other/app.bsky.feed.post/3question", "2024-10-02T15:00:00.000Z"),
+			getReply("3reply", root.post.uri, "2024-10-02T14:05:00.000Z"),
+			root,
+		],
+	});
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.deepEqual(entries.map(entry => entry.filePath), [
+		"zachleat.com/3answer.html",
+		"zachleat.com/3root.html",
+	]);
+
+	let [answer, thread] = entries;
+	assert.equal(answer.content, "<p>3answer</p>\n<p>3answer2</p>");
+	assert.match(thread.content, /\n<p>3reply<\/p>$/);
+	assert.doesNotMatch(thread.content, /3answer/);
+});
+
+test("Bluesky reposts of your own posts are skipped", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("atproto", {
+		id: "@zachleat.com",
+		postTypes: ["reposts"],
+	});
+
+	let feed = structuredClone(require("./sources/bluesky-author-feed-2.json"));
+	let [root] = feed.feed;
+	feed.feed.unshift({
+		post: root.post,
+		reason: structuredClone(require("./sources/bluesky-author-feed.json").feed[0].reason),
+	});
+
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=zachleat.com", { did: "did:plc:xpchjovbk6sxl3bv74z7cs54" });
+	importer.addDataOverride("atproto", "https://public.api.bsky.app/xrpc/app.bsky.feed.getAuthorFeed?actor=did%3Aplc%3Axpchjovbk6sxl3bv74z7cs54&limit=100&filter=posts_and_author_threads", feed);
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	assert.deepEqual(entries.map(entry => entry.filePath), [
+		"zachleat.com/3root.html",
+		"zachleat.com/3quote.html",
+	]);
+	assert.equal(entries[0].repostOf, undefined);
+});
+
+test("Twitter archive import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("twitter", {
+		id: "./test/sources/twitter-archive.zip",
+		excludePostTypes: "retweets",
+		threads: true,
+	});
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	// Retweet is skipped, the self-reply is merged into the first tweet
+	assert.equal(entries.length, 2);
+
+	let [reply, thread] = entries;
+
+	assert.equal(thread.uuid, "11ty/import::twitter::1001");
+	assert.equal(thread.url, "https://x.com/zachleat/status/1001");
+	assert.equal(thread.filePath, "zachleat/1001.md");
+	assert.deepEqual(thread.tags, ["eleventy"]);
+	assert.deepEqual(thread.authors, [{ name: "Zach Leatherman", url: "https://x.com/zachleat" }]);
+	assert.equal(thread.dateUpdated.toISOString(), "2024-01-15T18:05:00.000Z");
+	// Image is copied from the archive (no network request)
+	assert.match(thread.content, /^Eleventy v3 & more via \[@eleventy\]\(https:\/\/x\.com\/eleventy\) #eleventy \[11ty\.dev\/blog\/eleventy-v3\/\]\(https:\/\/www\.11ty\.dev\/blog\/eleventy-v3\/\)\n\n!\[Release notes screenshot\]\(assets\/1001-AbCdEf-[A-Za-z0-9]+\.jpg\)\n\nMore details in the thread$/);
+
+	assert.equal(reply.metadata.inReplyTo, "https://x.com/someone/status/999");
+	// Mentions aren’t linked inside expanded links
+	assert.equal(reply.content, "[@someone](https://x.com/someone) thanks! Also on [mastodon.social/@someone/1](https://mastodon.social/@someone/1)");
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("Local archives are only cached when writing files", async (t) => {
+	let zipPath = "./test/sources/instagram-export.zip";
+	let key = Fetcher.createHash(`${path.resolve(zipPath)}::${fs.statSync(zipPath).mtimeMs}`);
+	let cacheDir = path.join(".cache", "import-archives", key);
+	fs.rmSync(cacheDir, { recursive: true, force: true });
+	t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+	let dryRunDir = LocalFiles.getDirectory(zipPath, { dryRun: true });
+	assert.ok(fs.existsSync(path.join(dryRunDir, "instagram-zachleat-20240301/media/posts/202401/111.jpg")));
+	assert.ok(!fs.existsSync(cacheDir));
+	// Reused in the same process
+	assert.equal(LocalFiles.getDirectory(zipPath, { dryRun: true }), dryRunDir);
+
+	assert.equal(LocalFiles.getDirectory(zipPath), cacheDir);
+	assert.ok(fs.existsSync(path.join(cacheDir, "instagram-zachleat-20240301/media/posts/202401/111.jpg")));
+	// No partial extractions are left behind
+	assert.deepEqual(fs.readdirSync(path.dirname(cacheDir)).filter(name => name.startsWith(`${key}-partial-`)), []);
+});
+
+test("Instagram export import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("instagram", "./test/sources/instagram-export.zip");
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 4);
+
+	let [reel, single, carousel] = entries;
+
+	assert.equal(carousel.uuid, "11ty/import::instagram::media/posts/202401/111.jpg");
+	assert.equal(carousel.filePath, "posts/202401/111.md");
+	// Local file paths aren’t used as the URL
+	assert.equal(carousel.url, undefined);
+	assert.doesNotMatch(Importer.convertEntryToYaml(carousel), /file:/);
+	assert.equal(carousel.date.toISOString(), "2024-01-15T18:00:00.000Z");
+	assert.deepEqual(carousel.authors, [{ name: "zachleat", url: "https://www.instagram.com/zachleat/" }]);
+	// Caption encoding is fixed
+	assert.deepEqual(carousel.tags, ["eleventy", "café"]);
+	// Media files are copied from the export (no network request)
+	assert.match(carousel.content, /^Sunset at the café ✨  \nTwo photos #eleventy #café\n\n!\[\]\(assets\/111-[A-Za-z0-9]+\.jpg\) !\[\]\(assets\/112-[A-Za-z0-9]+\.jpg\)$/);
+
+	assert.equal(single.metadata.kind, "post");
+	assert.match(single.content, /^Single photo\n\n!\[\]\(assets\/113-[A-Za-z0-9]+\.jpg\)$/);
+
+	assert.equal(reel.metadata.kind, "reel");
+	assert.deepEqual(reel.tags, ["video"]);
+	assert.match(reel.content, /assets\/114-[A-Za-z0-9]+\.mp4/);
+
+	// From `posts_2.json`, without a timestamp
+	let untimed = entries.find(entry => entry.uuid === "11ty/import::instagram::media/posts/202403/115 summer.jpg");
+	assert.equal(untimed.title, "");
+	assert.equal(untimed.date, undefined);
+	assert.equal(untimed.filePath, "posts/202403/115-summer.md");
+
+	assert.equal(importer.getCounts().errors, 0);
+});
+
+test("OPML subscription list import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	let sources = await importer.addOpml("./test/sources/feeds.opml", { subfolders: true });
+	assert.deepEqual(sources.map(source => source.constructor.TYPE), ["rss", "atom"]);
+
+	importer.addDataOverride("rss", "https://bsky.app/profile/zachleat.com/rss", Fetcher.parseXml(fs.readFileSync("./test/sources/bluesky-test.xml", "utf8")));
+	importer.addDataOverride("atom", "https://www.11ty.dev/blog/feed.xml", Fetcher.parseXml(fs.readFileSync("./test/sources/atom-feed.xml", "utf8")));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let post = entries.find(entry => entry.type === "rss");
+	assert.equal(post.sourceLabel, "Zach on Bluesky");
+	assert.equal(post.filePath, "zach-on-bluesky/profile/zachleat.com/post/3lckusgtkuk2r.html");
+
+	let blogPost = entries.find(entry => entry.type === "atom");
+	assert.equal(blogPost.sourceLabel, "Eleventy Blog");
+	assert.equal(blogPost.filePath, "eleventy-blog/blog/eleventy-v3.md");
+});
+
+test("OPML subfolders are unique", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	let sources = await importer.addOpml("./test/sources/feeds-duplicate-titles.opml", { subfolders: true });
+	assert.deepEqual(sources.map(source => source.outputSubfolder), ["eleventy-blog", "eleventy-blog-2", "example-com", "example-com-2"]);
+});
+
+test("Auto-detect feed from home page", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("auto", {
+		url: "https://www.11ty.dev/",
+		label: "Eleventy",
+	});
+
+	importer.addDataOverride("auto", "https://www.11ty.dev/", {
+		url: "https://www.11ty.dev/",
+		status: 200,
+		headers: { "content-type": "text/html; charset=utf-8" },
+		body: `<!doctype html><html><head><title>Eleventy</title><link rel="alternate" type="application/atom+xml" href="/blog/feed.xml"></head><body></body></html>`,
+	});
+	importer.addDataOverride("auto", "https://www.11ty.dev/blog/feed.xml", Fetcher.parseXml(fs.readFileSync("./test/sources/atom-feed.xml", "utf8")));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 1);
+
+	let [post] = entries;
+	assert.equal(post.type, "atom");
+	assert.equal(post.sourceLabel, "Eleventy");
+	assert.equal(post.url, "https://www.11ty.dev/blog/eleventy-v3/");
+});
+
+test("Auto-detect WordPress from a post URL without pretty permalinks", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("auto", "https://example.com/blog/?p=12");
+
+	importer.addDataOverride("auto", "https://example.com/blog/?p=12", {
+		url: "https://example.com/blog/?p=12",
+		status: 200,
+		headers: {
+			"content-type": "text/html; charset=utf-8",
+			"link": `<https://example.com/blog/?rest_route=/>; rel="https://api.w.org/", <https://example.com/blog/?p=12>; rel=shortlink`,
+		},
+		body: `<!doctype html><html><head><title>Hello</title></head><body></body></html>`,
+	});
+
+	let statusStr = process.env.WORDPRESS_USERNAME ? "&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate" : "";
+	importer.addDataOverride("auto", `https://example.com/blog/?rest_route=/wp/v2/posts/&page=1&per_page=100${statusStr}`, [{
+		id: 12,
+		date_gmt: "2024-01-01T10:00:00",
+		modified_gmt: "2024-01-01T10:00:00",
+		guid: { rendered: "https://example.com/blog/?p=12" },
+		slug: "hello",
+		status: "publish",
+		type: "post",
+		link: "https://example.com/blog/?p=12",
+		title: { rendered: "Hello" },
+		content: { rendered: "<p>Content</p>" },
+		author: 1,
+	}]);
+	importer.addDataOverride("auto", `https://example.com/blog/?rest_route=/wp/v2/posts/&page=2&per_page=100${statusStr}`, []);
+	importer.addDataOverride("auto", "https://example.com/blog/?rest_route=/wp/v2/users/&include=1&per_page=100", [{ id: 1, name: "Jane", link: "https://example.com/blog/?author=1" }]);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 1);
+
+	let [post] = entries;
+	assert.equal(post.type, "wordpress");
+	assert.equal(post.url, "https://example.com/blog/?p=12");
+	assert.deepEqual(post.authors, [{ name: "Jane", url: "https://example.com/blog/?author=1" }]);
+	assert.equal(post.filePath, `blog/${Fetcher.createHash("https://example.com/blog/?p=12")}.md`);
+});
+
+test("Auto-detect source types", async (t) => {
+	// WordPress REST API discovery header
+	assert.deepEqual(Auto.detect({
+		url: "https://example.com/",
+		headers: { "content-type": "text/html", "link": `<https://example.com/wp-json/>; rel="https://api.w.org/"` },
+		body: "<html></html>",
+	}), { type: "wordpress", url: "https://example.com/", apiRoot: "https://example.com/wp-json/", reason: "WordPress REST API `Link` header" });
+
+	assert.equal(Auto.detect({
+		url: "https://example.com/",
+		headers: { "content-type": "text/html" },
+		body: `<link rel="https://api.w.org/" href="https://example.com/wp-json/">`,
+	}).type, "wordpress");
+
+	// Site URL is derived from the REST API root, not the post URL
+	assert.deepEqual(Auto.detect({
+		url: "https://example.com/blog/2024/01/hello-world/",
+		headers: { "content-type": "text/html" },
+		body: `<link rel="https://api.w.org/" href="/blog/wp-json/">`,
+	}), { type: "wordpress", url: "https://example.com/blog/", apiRoot: "https://example.com/blog/wp-json/", reason: `WordPress REST API <link rel="https://api.w.org/"> in HTML` });
+
+	// Without pretty permalinks
+	assert.deepEqual(Auto.detect({
+		url: "https://example.com/blog/?p=12",
+		headers: { "content-type": "text/html", "link": `<https://example.com/blog/?rest_route=/>; rel="https://api.w.org/"` },
+		body: "<html></html>",
+	}), { type: "wordpress", url: "https://example.com/blog/", apiRoot: "https://example.com/blog/?rest_route=/", reason: "WordPress REST API `Link` header" });
+
+	// Links to other WordPress sites aren’t used
+	assert.equal(Auto.detect({
+		url: "https://example.com/",
+		headers: { "content-type": "text/html" },
+		body: `<p>Read <a href="https://blog.example.org/wp-json/wp/v2/posts">the API docs</a></p><link rel="alternate" type="application/rss+xml" href="/feed.xml">`,
+	}).type, "rss");
+
+	assert.equal(Auto.detect({
+		url: "https://www.jsonfeed.org/feed.json",
+		headers: { "content-type": "application/feed+json" },
+		body: "{}",
+	}).type, "jsonfeed");
+
+	assert.equal(Auto.detect({
+		url: "https://example.com/feed",
+		headers: { "content-type": "application/xml" },
+		body: `<?xml version="1.0"?><rss version="2.0"></rss>`,
+	}).type, "rss");
+
+	assert.equal(Auto.detect({
+		url: "https://example.com/",
+		headers: { "content-type": "text/html" },
+		body: "<html><head><title>No feeds</title></head></html>",
+	}), undefined);
+});
+
+test("Microformats h-feed import", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("microformats", "https://example.com/notes/");
+
+	importer.addDataOverride("microformats", "https://example.com/notes/", fs.readFileSync("./test/sources/hfeed.html", "utf8"));
+	importer.addDataOverride("microformats", "https://example.com/notes/page/2/", fs.readFileSync("./test/sources/hfeed-2.html", "utf8"));
+
+	let entries = await importer.getEntries({ contentType: "html" });
+	// Second page via rel=next
+	assert.equal(entries.length, 3);
+
+	let [article, reply, like] = entries;
+
+	assert.equal(article.uuid, "11ty/import::microformats::https://example.com/posts/moving-to-eleventy/");
+	assert.equal(article.title, "Moving to Eleventy");
+	assert.equal(article.url, "https://example.com/posts/moving-to-eleventy/");
+	assert.equal(article.filePath, "posts/moving-to-eleventy.html");
+	assert.equal(article.dateUpdated.toISOString(), "2024-03-02T10:00:00.000Z");
+	assert.deepEqual(article.authors, [{ name: "Jane Doe", url: "https://example.com/", avatarUrl: "https://example.com/avatar.jpg" }]);
+	assert.deepEqual(article.tags, ["eleventy", "indieweb"]);
+	assert.deepEqual(article.metadata.media, { photo: "https://example.com/images/hero.jpg" });
+	assert.equal(article.content, `<p>I moved my site to <a href="https://www.11ty.dev/">Eleventy</a>.</p>
+<img src="https://example.com/images/hero.jpg" alt="A static site">`);
+
+	// Implied name is not used as a title
+	assert.equal(reply.title, "February 1, 2024 at 9:00:00 AM UTC");
+	assert.equal(reply.metadata.inReplyTo, "https://other.example/posts/static-sites/");
+	assert.equal(reply.content, `<blockquote><p>In reply to <a href="https://other.example/posts/static-sites/">Static sites are great</a></p><p>Hot take: static sites are great</p></blockquote>
+Agreed!`);
+
+	assert.equal(like.metadata.likeOf, "https://other.example/posts/web-components/");
+	assert.equal(like.url, "https://example.com/likes/1/");
+});
+
+test("Microformats h-entry without a URL", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("microformats", "https://example.com/notes/");
+	importer.addDataOverride("microformats", "https://example.com/notes/", `<div class="h-feed">
+	<div class="h-entry"><p class="e-content">First note</p><time class="dt-published" datetime="2024-01-02T12:00:00Z">January 2</time></div>
+	<div class="h-entry"><p class="e-content">Second note</p><time class="dt-published" datetime="2024-01-03T12:00:00Z">January 3</time></div>
+</div>`);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [second, first] = entries;
+	assert.match(first.url, /^https:\/\/example\.com\/notes\/#[A-Za-z0-9]+$/);
+	assert.match(first.filePath, /^notes\/[A-Za-z0-9]+\.md$/);
+	assert.notEqual(first.filePath, second.filePath);
+	assert.equal(first.content, "First note");
+});
+
+test("RSS podcast enclosures and iTunes metadata", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+
+	importer.addSource("rss", "https://podcast.example.com/feed.xml");
+
+	// Local media server (remote sources can’t read local files)
+	let server = http.createServer((req, res) => {
+		let filename = path.basename(req.url);
+		res.writeHead(200, { "content-type": filename.endsWith(".mp3") ? "audio/mpeg" : "image/jpeg" });
+		res.end(fs.readFileSync(path.join("./test/sources/podcast", filename)));
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	t.after(() => server.close());
+
+	let baseUrl = `http://127.0.0.1:${server.address().port}`;
+	let feed = fs.readFileSync("./test/sources/podcast/feed.xml", "utf8").replaceAll("{{baseUrl}}", baseUrl);
+	importer.addDataOverride("rss", "https://podcast.example.com/feed.xml", Fetcher.parseXml(feed));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 1);
+
+	let [episode] = entries;
+	assert.equal(episode.content, "<p>Show notes for the first episode.</p>");
+	assert.deepEqual(episode.metadata.podcast, {
+		length: 14,
+		type: "audio/mpeg",
+		duration: "00:42:17",
+		episode: 1,
+		season: 2,
+		transcripts: [
+			{ url: "https://podcast.example.com/episodes/1/transcript.vtt", type: "text/vtt" },
+			{ url: "https://podcast.example.com/episodes/1/transcript.json", type: "application/json" },
+		],
+	});
+
+	// Downloaded with the entry
+	assert.match(episode.metadata.media.enclosure, /^assets\/episode-1-[A-Za-z0-9]+\.mp3$/);
+	assert.match(episode.metadata.media.episodeImage, /^assets\/episode-1-[A-Za-z0-9]+\.jpg$/);
+});
+
+test("RSS enclosures outside of podcasts", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("rss", "https://blog.example.com/feed.xml");
+
+	// No iTunes namespace
+	importer.addDataOverride("rss", "https://blog.example.com/feed.xml", Fetcher.parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+	<channel>
+		<title>Blog</title>
+		<link>https://blog.example.com/</link>
+		<item>
+			<title>Photo post</title>
+			<link>https://blog.example.com/photo/</link>
+			<pubDate>Tue, 02 Apr 2024 12:00:00 GMT</pubDate>
+			<description>A photo</description>
+			<enclosure url="https://blog.example.com/photo.jpg" length="2048" type="image/jpeg"/>
+		</item>
+		<item>
+			<title>Audio post</title>
+			<link>https://blog.example.com/audio/</link>
+			<pubDate>Mon, 01 Apr 2024 12:00:00 GMT</pubDate>
+			<description>A recording</description>
+			<enclosure url="https://blog.example.com/recording.mp3" length="4096" type="audio/mpeg"/>
+		</item>
+	</channel>
+</rss>`));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [photo, audio] = entries;
+	assert.equal(photo.metadata, undefined);
+	assert.deepEqual(audio.metadata.podcast, { length: 4096, type: "audio/mpeg" });
+	assert.equal(audio.metadata.media.enclosure, "https://blog.example.com/recording.mp3");
+});
+
+test("WordPress pages and page hierarchy", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wordpress", {
+		url: "https://example.com/",
+		postTypes: "posts,pages",
+	});
+
+	let statusStr = process.env.WORDPRESS_USERNAME ? "&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate" : "";
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/posts/?page=1&per_page=100${statusStr}`, []);
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/pages/?page=1&per_page=100${statusStr}`, require("./sources/wordpress-pages.json"));
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/pages/?page=2&per_page=100${statusStr}`, []);
+	// Parent page not in the import
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/pages/10", {
+		id: 10,
+		slug: "about",
+		parent: 0,
+		link: "https://example.com/about/",
+	});
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/users/?include=1&per_page=100", [{ id: 1, name: "Jane", link: "https://example.com/author/jane/" }]);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [jane, team] = entries;
+	assert.equal(jane.filePath, "about/team/jane.md");
+	assert.deepEqual(jane.metadata, { postType: "page", menuOrder: 2, template: "templates/profile.php" });
+
+	assert.equal(team.filePath, "about/team.md");
+	assert.deepEqual(team.metadata, { postType: "page", menuOrder: 1 });
+});
+
+test("WordPress page paths in a subfolder and drafts without permalinks", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wordpress", {
+		url: "https://example.com/site/",
+		postTypes: "pages",
+	});
+
+	let getPage = (id, slug, parent, link, status = "draft") => ({
+		id,
+		date_gmt: "2024-01-01T10:00:00",
+		modified_gmt: "2024-01-01T10:00:00",
+		guid: { rendered: `https://example.com/site/?page_id=${id}` },
+		slug,
+		status,
+		type: "page",
+		link,
+		title: { rendered: slug || "Untitled" },
+		content: { rendered: "<p>Content</p>" },
+		author: 1,
+		parent,
+		_links: parent ? {
+			up: [{ embeddable: true, href: `https://example.com/site/wp-json/wp/v2/pages/${parent}` }]
+		} : {},
+	});
+
+	let statusStr = process.env.WORDPRESS_USERNAME ? "&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate" : "";
+	importer.addDataOverride("wordpress", `https://example.com/site/wp-json/wp/v2/pages/?page=1&per_page=100${statusStr}`, [
+		getPage(12, "team", 10, "https://example.com/site/company/about/team/", "publish"),
+		getPage(20, "careers", 10, "https://example.com/site/?page_id=20"),
+		getPage(21, "jobs", 20, "https://example.com/site/?page_id=21"),
+		getPage(22, "", 0, "https://example.com/site/?page_id=22", "pending"),
+	]);
+	importer.addDataOverride("wordpress", `https://example.com/site/wp-json/wp/v2/pages/?page=2&per_page=100${statusStr}`, []);
+	// Parent page not in the import
+	importer.addDataOverride("wordpress", "https://example.com/site/wp-json/wp/v2/pages/10", {
+		id: 10,
+		slug: "about",
+		parent: 0,
+		link: "https://example.com/site/company/about/",
+	});
+	importer.addDataOverride("wordpress", "https://example.com/site/wp-json/wp/v2/users/?include=1&per_page=100", [{ id: 1, name: "Jane", link: "https://example.com/site/author/jane/" }]);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.deepEqual(entries.map(entry => entry.filePath), [
+		"site/company/about/team.md",
+		"drafts/site/company/about/careers.md",
+		"drafts/site/company/about/careers/jobs.md",
+		`drafts/site/${Fetcher.createHash("https://example.com/site/?page_id=22")}.md`,
+	]);
+});
+
+test("WordPress comments", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wordpress", {
+		url: "https://example.com/",
+		postTypes: "pages",
+		comments: true,
+	});
+
+	let statusStr = process.env.WORDPRESS_USERNAME ? "&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate" : "";
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/pages/?page=1&per_page=100${statusStr}`, require("./sources/wordpress-pages.json"));
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/pages/?page=2&per_page=100${statusStr}`, []);
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/pages/10", { id: 10, slug: "about", parent: 0, link: "https://example.com/about/" });
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/users/?include=1&per_page=100", [{ id: 1, name: "Jane", link: "https://example.com/author/jane/" }]);
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/comments/?post=14%2C12&status=approve&orderby=date&order=asc&per_page=100&page=1", require("./sources/wordpress-comments.json"));
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	let [jane, team] = entries;
+
+	assert.deepEqual(jane.metadata.comments, [
+		{
+			id: 100,
+			author: {
+				name: "Sam Reader",
+				url: "https://sam.example.net/",
+				avatarUrl: "https://secure.gravatar.com/avatar/abc?s=96&d=mm&r=g",
+			},
+			date: new Date("2024-02-03T10:00:00Z"),
+			content: `<p>Welcome, <a href="https://example.com/about/team/jane/">Jane</a>!</p>`,
+			replies: [
+				{
+					id: 101,
+					author: { name: "Jane" },
+					date: new Date("2024-02-03T11:00:00Z"),
+					content: "<p>Thanks <strong>Sam</strong>!</p>",
+				}
+			],
+		}
+	]);
+
+	// Unapproved comments are excluded
+	assert.equal(team.metadata.comments, undefined);
+	assert.doesNotMatch(Importer.convertEntryToYaml(jane), /@example\.net/);
+});
+
+test("WordPress batched lookups and blocked users endpoint", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wordpress", "https://example.com/");
+
+	let posts = [3, 2, 1].map(id => {
+		return {
+			id,
+			date_gmt: `2024-01-0${id}T10:00:00`,
+			modified_gmt: `2024-01-0${id}T10:00:00`,
+			guid: { rendered: `https://example.com/?p=${id}` },
+			slug: `post-${id}`,
+			status: "publish",
+			type: "post",
+			link: `https://example.com/post-${id}/`,
+			title: { rendered: `Post ${id}` },
+			content: { rendered: "<p>Hello</p>" },
+			author: 7,
+			categories: [5, 6],
+			tags: id === 1 ? [9] : [],
+		};
+	});
+	// Author name from Yoast SEO metadata
+	posts[0].yoast_head_json = { author: "Jane" };
+
+	let statusStr = process.env.WORDPRESS_USERNAME ? "&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate" : "";
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/posts/?page=1&per_page=100${statusStr}`, posts);
+	importer.addDataOverride("wordpress", `https://example.com/wp-json/wp/v2/posts/?page=2&per_page=100${statusStr}`, []);
+	// One request for all entries (no per-id requests)
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/categories/?include=5%2C6&per_page=100", [
+		{ id: 5, name: "Eleventy" },
+		{ id: 6, name: "Uncategorized" },
+	]);
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/tags/?include=9&per_page=100", [{ id: 9, name: "Static sites" }]);
+	// The users endpoint isn’t stubbed (blocked), the site name is used instead
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/", { name: "Example Blog", home: "https://example.com" });
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 3);
+
+	let [post3, post2, post1] = entries;
+	assert.deepEqual(post1.metadata.categories, ["Eleventy"]);
+	assert.deepEqual(post1.metadata.tags, ["Static sites"]);
+	assert.deepEqual(post2.tags, ["Eleventy"]);
+
+	assert.deepEqual(post3.authors, [{ name: "Jane" }]);
+	assert.deepEqual(post1.authors, [{ name: "Example Blog", url: "https://example.com" }]);
+});
+
+test("WordPress per source authentication and unpublished statuses", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	let source = importer.addSource("wordpress", {
+		url: "https://example.com/",
+		token: "my-jwt",
+	});
+
+	assert.deepEqual(source.getHeaders(), {
+		"Content-Type": "application/json",
+		"Authorization": "Bearer my-jwt",
+	});
+
+	// Application Passwords use Basic auth
+	let appPasswordSource = (new Importer()).addSource("wordpress", {
+		url: "https://example.com/",
+		username: "zach",
+		password: "abcd efgh ijkl",
+	});
+	assert.equal(appPasswordSource.getHeaders().Authorization, "Basic " + btoa("zach:abcd efgh ijkl"));
+
+	let posts = ["publish", "future", "pending", "private"].map((status, index) => {
+		let id = index + 1;
+		return {
+			id,
+			date_gmt: `2024-01-0${id}T10:00:00`,
+			modified_gmt: `2024-01-0${id}T10:00:00`,
+			guid: { rendered: `https://example.com/?p=${id}` },
+			slug: status,
+			status,
+			type: "post",
+			link: `https://example.com/${status}/`,
+			title: { rendered: status },
+			content: { rendered: "<p>Hello</p>" },
+		};
+	});
+
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/posts/?page=1&per_page=100&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate", posts);
+	importer.addDataOverride("wordpress", "https://example.com/wp-json/wp/v2/posts/?page=2&per_page=100&status=publish%2Cfuture%2Cdraft%2Cpending%2Cprivate", []);
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 4);
+
+	let [privatePost, pending, future, published] = entries;
+	assert.equal(published.status, "publish");
+	assert.equal(published.metadata.scheduled, undefined);
+
+	assert.equal(future.status, "draft");
+	assert.deepEqual(future.metadata.scheduled, new Date("2024-01-02T10:00:00Z"));
+
+	assert.equal(pending.status, "draft");
+
+	assert.equal(privatePost.status, "draft");
+	assert.equal(privatePost.metadata.private, true);
+	assert.match(Importer.convertEntryToYaml(privatePost), /^draft: true$/m);
+});
+
+test("WordPress shortcodes and blocks", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wxr", "./test/sources/wordpress-shortcodes.xml");
+	importer.addWordPressShortcodes({
+		pullquote: (attributes, content) => `<blockquote><p>${content}</p></blockquote>`,
+	});
+
+	let entries = await importer.getEntries({ contentType: "markdown" });
+	assert.equal(entries.length, 2);
+
+	let [blocks, classic] = entries;
+
+	assert.equal(classic.content, `[![Beach](https://example.com/wp-content/uploads/beach.jpg)](https://example.com/beach/)
+
+A day at the beach
+
+![Beach](https://example.com/wp-content/uploads/beach.jpg)
+
+Sand
+
+![Waves](https://example.com/wp-content/uploads/waves.jpg)
+
+<iframe src="https://www.youtube.com/embed/dQw4w9W_XcQ" title="YouTube video" loading="lazy" allowfullscreen=""></iframe>
+
+<audio controls=""><source src="https://example.com/wp-content/uploads/episode.mp3"></audio>
+
+> Shortcodes are neat
+
+Use \\[caption\\] for captions.`);
+
+	assert.equal(blocks.content, `Watch this:
+
+<iframe src="https://player.vimeo.com/video/76979871" title="Vimeo video" loading="lazy" allowfullscreen=""></iframe>
+
+The new Vimeo player
+
+> [https://twitter.com/zachleat/status/1234567890](https://twitter.com/zachleat/status/1234567890)`);
+});
+
+test("WordPress embed blocks keep the surrounding markup", async (t) => {
+	let wordpressContent = new WordPressContent();
+
+	let content = `<p>Fish &amp; chips<br/>
+<img src=photo.jpg alt='Photo'></p>
+<figure class="wp-block-embed is-provider-vimeo"><div class="wp-block-embed__wrapper">
+https://vimeo.com/76979871
+</div><figcaption>Café 😀</figcaption></figure>
+<p>After</p>`;
+
+	assert.equal(wordpressContent.convertEmbedBlocks(content, {}), `<p>Fish &amp; chips<br/>
+<img src=photo.jpg alt='Photo'></p>
+<figure><iframe src="https://player.vimeo.com/video/76979871" title="Vimeo video" loading="lazy" allowfullscreen></iframe><figcaption>Café 😀</figcaption></figure>
+<p>After</p>`);
+});
+
+test("WordPress embeds as Eleventy shortcodes", async (t) => {
+	let importer = new Importer();
+
+	importer.setVerbose(false);
+	importer.setDryRun(true);
+	importer.setAssetReferenceType("disabled");
+
+	importer.addSource("wxr", "./test/sources/wordpress-shortcodes.xml");
+	importer.setWordPressEmbedFormat("shortcodes");
+
+	let [blocks, classic] = await importer.getEntries({ contentType: "markdown" });
+
+	// Not escaped (e.g. underscores in ids)
+	assert.match(classic.content, /^\{% youtube "dQw4w9W_XcQ" %\}$/m);
+	// Custom shortcodes are unchanged
+	assert.match(classic.content, /\\\[pullquote\\\]Shortcodes are neat\\\[\/pullquote\\\]/);
+
+	assert.match(blocks.content, /^\{% vimeo "76979871" %\}$/m);
+	assert.match(blocks.content, /^\{% tweet "https:\/\/twitter\.com\/zachleat\/status\/1234567890" %\}$/m);
+
+	assert.throws(() => importer.setWordPressEmbedFormat("oembed"));
+});